@@ -0,0 +1,65 @@
+import express from "express";
+import cors from "cors";
+import "dotenv/config";
+import blogRoutes from "./routes/blog.js";
+import submissionRoutes from "./routes/submissionRoute.js";
+import authRoutes from "./routes/authRoute.js";
+import commentModerationRoutes from "./routes/commentModerationRoute.js";
+import feedRoutes from "./routes/feedRoute.js";
+import sitemapRoutes from "./routes/sitemapRoute.js";
+import categoryRoutes from "./routes/categoryRoute.js";
+import tagRoutes from "./routes/tagRoute.js";
+import authorRoutes from "./routes/authorRoute.js";
+import imageRoutes from "./routes/imageRoute.js";
+import docsRoutes from "./routes/docsRoute.js";
+import storage from "./config/storage.js";
+import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+
+// The app without a running server: index.js connects to the database and
+// listens, the tests drive it directly
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(
+  cors({
+    origin: "*", // allow all origins
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"], // allowed methods
+    allowedHeaders: ["Content-Type", "Authorization"], // allowed headers
+    credentials: false, // no credentials needed for any origin
+  })
+);
+app.use(express.json({ limit: "50mb" }));
+app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+
+// Routes
+app.use("/api/auth", authRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/authors", authorRoutes);
+app.use("/api/images", imageRoutes);
+app.use("/api/blog/submission", submissionRoutes);
+app.use("/api/blog/comments", commentModerationRoutes);
+app.use("/api/blog", feedRoutes);
+app.use("/api/blog", blogRoutes);
+app.use(sitemapRoutes);
+
+// OpenAPI document and interactive docs
+app.use("/api/docs", docsRoutes);
+
+// Uploaded files, when the storage provider serves them itself
+if (storage.router) {
+  app.use(storage.mountPath, storage.router);
+}
+
+// Health check route
+app.get("/", (req, res) => {
+  res.json({ message: "Blog API is running" });
+});
+
+// Errors: { error, code, details? } for unknown routes and anything a route
+// or middleware passes on
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+export default app;
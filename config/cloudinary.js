@@ -14,21 +14,11 @@ cloudinary.config({
   timeout: 10000,
 });
 
-// Upload Feature Image to Cloudinary
-export const uploadToCloudinary = (fileBuffer, blogId) => {
+// Stream a buffer to Cloudinary
+const uploadBuffer = (fileBuffer, options) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: "blogs/featured",
-        public_id: `featured-${blogId}`,
-        resource_type: "image",
-        transformation: [
-          { width: 1920, height: 1080, crop: "limit", quality: "auto:good" },
-          { fetch_format: "auto" },
-        ],
-        overwrite: true,
-        invalidate: true,
-      },
+      options,
       (error, result) => {
         if (error) reject(error);
         else resolve(result);
@@ -39,40 +29,55 @@ export const uploadToCloudinary = (fileBuffer, blogId) => {
   });
 };
 
-// Upload Blog Body Image to Cloudinary
-export const uploadToCloudinaryBodyImage = (fileBuffer) => {
-  return new Promise((resolve, reject) => {
-    const date = dayjs().format("YYYYMMDD"); // current date
-    const publicId = `${date}-${uuidv4()}`;
+// Storage provider backed by Cloudinary (see config/storage.js)
+export const createCloudinaryStorage = () => ({
+  name: "cloudinary",
 
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: "blogs/images",
-        public_id: publicId,
-        resource_type: "image",
-        transformation: [{ quality: "auto:good" }, { fetch_format: "auto" }],
-        overwrite: false,
-        invalidate: true,
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result);
-      }
-    );
+  upload: async (fileBuffer, { folder, publicId, overwrite = true }) => {
+    const result = await uploadBuffer(fileBuffer, {
+      folder,
+      public_id: publicId || `${dayjs().format("YYYYMMDD")}-${uuidv4()}`,
+      resource_type: "image",
+      transformation: [{ quality: "auto:good" }],
+      overwrite,
+      invalidate: true,
+    });
 
-    uploadStream.end(fileBuffer);
-  });
-};
+    return {
+      url: result.url,
+      secure_url: result.secure_url,
+      public_id: result.public_id,
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      resource_type: result.resource_type,
+      created_at: result.created_at,
+      provider: "cloudinary",
+    };
+  },
 
-// Delete Image from Cloudinary
-export const deleteFromCloudinary = async (publicId) => {
-  try {
-    const result = await cloudinary.uploader.destroy(publicId);
-    return result;
-  } catch (error) {
-    console.error("Error deleting from Cloudinary:", error);
-    throw error;
-  }
-};
+  delete: async (publicId) => {
+    try {
+      await cloudinary.uploader.destroy(publicId, { invalidate: true });
+    } catch (error) {
+      console.error("Error deleting from Cloudinary:", error);
+      throw error;
+    }
+  },
+
+  // Resized copies are generated by Cloudinary on first request
+  url: (publicId, { width, format } = {}) =>
+    cloudinary.url(publicId, {
+      secure: true,
+      urlAnalytics: false,
+      ...(width && {
+        transformation: [
+          { width, crop: "limit" },
+          { fetch_format: "auto", quality: "auto" },
+        ],
+      }),
+      ...(format && { format }),
+    }),
+});
 
 export default cloudinary;
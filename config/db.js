@@ -1,11 +1,17 @@
 import mysql from "mysql2";
 import "dotenv/config";
 
-const pool = mysql.createPool({
+// Shared by the pool and the one-off connections scripts open
+export const connectionOptions = {
   host: process.env.DB_HOST,
+  port: parseInt(process.env.DB_PORT) || 3306,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
+};
+
+const pool = mysql.createPool({
+  ...connectionOptions,
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
@@ -14,3 +20,24 @@ const pool = mysql.createPool({
 const promisePool = pool.promise();
 
 export default promisePool;
+
+/**
+ * Run queries on one connection inside a transaction.
+ * Commits when the callback resolves and rolls back when it throws.
+ * @param {Function} callback - Receives the connection, returns a promise
+ * @returns {Promise<*>} Whatever the callback resolves to
+ */
+export const withTransaction = async (callback) => {
+  const connection = await promisePool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await callback(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
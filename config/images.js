@@ -0,0 +1,56 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// "original" keeps the uploaded format
+export const OUTPUT_FORMATS = ["original", "jpeg", "png", "webp", "avif"];
+
+// Largest image accepted, in pixels (width × height), checked before decoding
+export const MAX_IMAGE_PIXELS =
+  parseInt(process.env.IMAGE_MAX_PIXELS) || 40000000;
+
+const outputFormat = (name) => {
+  const format = process.env[name] || "original";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown ${name} "${format}". Use ${OUTPUT_FORMATS.join(", ")}.`
+    );
+  }
+  return format;
+};
+
+/*
+ * How each kind of upload is checked and re-encoded:
+ *   minWidth, minHeight - smallest accepted image (after orientation)
+ *   maxWidth            - wider images are scaled down
+ *   size                - crop to a size × size square instead
+ *   format              - output format (IMAGE_FORMAT_* in .env)
+ */
+export const IMAGE_UPLOAD_TYPES = {
+  featured: {
+    minWidth: 600,
+    minHeight: 300,
+    maxWidth: 1200,
+    format: outputFormat("IMAGE_FORMAT_FEATURED"),
+  },
+  body: {
+    minWidth: 50,
+    minHeight: 50,
+    maxWidth: 1200,
+    format: outputFormat("IMAGE_FORMAT_BODY"),
+  },
+  avatar: {
+    minWidth: 100,
+    minHeight: 100,
+    size: 400,
+    format: outputFormat("IMAGE_FORMAT_AVATAR"),
+  },
+};
+
+// Encoder settings per output format
+export const ENCODER_OPTIONS = {
+  jpeg: { quality: 85, mozjpeg: true },
+  png: { compressionLevel: 9, adaptiveFiltering: true },
+  webp: { quality: 82, alphaQuality: 90 },
+  avif: { quality: 55 },
+};
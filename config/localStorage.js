@@ -0,0 +1,141 @@
+import express, { Router } from "express";
+import sharp from "sharp";
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import dayjs from "dayjs";
+import dotenv from "dotenv";
+import { query } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../utils/errors.js";
+import { getQuery } from "../utils/validation.js";
+
+dotenv.config();
+
+// Where the files are served from, relative to the server root
+const MOUNT_PATH = "/uploads";
+
+// Widest copy the ?w= parameter will generate
+const MAX_RESIZE_WIDTH = 2560;
+
+const EXTENSIONS = { jpeg: "jpg", svg: "svg", tiff: "tif" };
+
+/**
+ * Map a public ID to a file inside the storage directory
+ * @param {String} directory - Absolute storage directory
+ * @param {String} publicId - Path of the file below it
+ * @returns {String|null} Absolute path, or null if it escapes the directory
+ */
+const resolveFile = (directory, publicId) => {
+  const file = path.resolve(directory, publicId);
+  return file.startsWith(directory + path.sep) ? file : null;
+};
+
+// Serve stored files; ?w= returns a narrower copy, like Cloudinary's w_
+const createRouter = (directory) => {
+  const router = Router();
+
+  router.use(
+    validate(
+      query("w", `w must be a whole number from 1 to ${MAX_RESIZE_WIDTH}`)
+        .optional()
+        .isInt({ min: 1, max: MAX_RESIZE_WIDTH })
+        .toInt()
+    )
+  );
+
+  router.use(async (req, res, next) => {
+    const { w: width } = getQuery(req);
+    if (width === undefined) return next();
+
+    let file;
+    try {
+      file = resolveFile(directory, decodeURIComponent(req.path.slice(1)));
+      if (!file || !(await fs.stat(file)).isFile()) return next();
+    } catch (error) {
+      return next();
+    }
+
+    try {
+      const data = await sharp(file)
+        .rotate()
+        .resize(width, null, { withoutEnlargement: true, fit: "inside" })
+        .toBuffer();
+
+      // Same format as the stored file
+      res.type(path.extname(file));
+      res.set("Cache-Control", "public, max-age=604800");
+      res.send(data);
+    } catch (error) {
+      console.error("Error resizing stored image:", error);
+      sendError(res, 500, "Failed to resize image");
+    }
+  });
+
+  router.use(express.static(directory, { index: false, maxAge: "7d" }));
+
+  return router;
+};
+
+// Storage provider writing to the local disk (see config/storage.js)
+export const createLocalStorage = () => {
+  const directory = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+  const publicUrl = (
+    process.env.STORAGE_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/+$/, "");
+
+  const url = (publicId, { width } = {}) =>
+    `${publicUrl}${MOUNT_PATH}/${encodeURI(publicId)}${
+      width ? `?w=${width}` : ""
+    }`;
+
+  return {
+    name: "local",
+    mountPath: MOUNT_PATH,
+    router: createRouter(directory),
+
+    upload: async (fileBuffer, { folder, publicId, overwrite = true }) => {
+      const metadata = await sharp(fileBuffer).metadata();
+      // sharp reports AVIF as HEIF with AV1 compression
+      const format =
+        metadata.format === "heif" && metadata.compression === "av1"
+          ? "avif"
+          : metadata.format;
+      const extension = EXTENSIONS[format] || format;
+      const name = publicId || `${dayjs().format("YYYYMMDD")}-${uuidv4()}`;
+      const id = path.posix.join(folder, `${name}.${extension}`);
+
+      const file = resolveFile(directory, id);
+      if (!file) {
+        throw new Error(`Invalid storage path "${id}"`);
+      }
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, fileBuffer, { flag: overwrite ? "w" : "wx" });
+
+      return {
+        url: url(id),
+        secure_url: url(id),
+        public_id: id,
+        width: metadata.width,
+        height: metadata.height,
+        format: format === "jpeg" ? "jpg" : format,
+        resource_type: "image",
+        created_at: new Date().toISOString(),
+        provider: "local",
+      };
+    },
+
+    delete: async (publicId) => {
+      const file = resolveFile(directory, publicId);
+      if (!file) {
+        throw new Error(`Invalid storage path "${publicId}"`);
+      }
+      await fs.rm(file, { force: true });
+    },
+
+    // Formats are served as stored
+    url,
+  };
+};
@@ -0,0 +1,76 @@
+import nodemailer from "nodemailer";
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const MAIL_FROM =
+  process.env.MAIL_FROM || "CAMBLOG <no-reply@localhost>";
+
+// Write each message as an .eml file (local development)
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || "mail");
+  const transport = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
+  });
+
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message);
+      await fs.mkdir(directory, { recursive: true });
+      const safeId = info.messageId.replace(/[^\w.@-]/g, "");
+      const file = path.join(directory, `${Date.now()}-${safeId}.eml`);
+      await fs.writeFile(file, info.message);
+      return { ...info, file };
+    },
+  };
+};
+
+// Print each message to the console (default)
+const createConsoleTransport = () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message);
+      const { to, subject, text } = JSON.parse(info.message);
+      console.log(
+        `📧 Email to ${to
+          .map((r) => r.address)
+          .join(", ")}: ${subject}\n${text}`
+      );
+      return info;
+    },
+  };
+};
+
+const createSmtpTransport = () =>
+  nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+const transportName = process.env.MAIL_TRANSPORT || "console";
+
+if (!TRANSPORTS[transportName]) {
+  throw new Error(
+    `Unknown MAIL_TRANSPORT "${transportName}". Use smtp, file or console.`
+  );
+}
+
+const mailer = TRANSPORTS[transportName]();
+
+export default mailer;
@@ -0,0 +1,50 @@
+import sharp from "sharp";
+import { v4 as uuidv4 } from "uuid";
+
+// Storage provider keeping files in memory (see config/storage.js). Nothing
+// survives a restart, so it is only meant for tests.
+export const createMemoryStorage = () => {
+  // public_id -> Buffer
+  const files = new Map();
+
+  const url = (publicId, { width, format } = {}) => {
+    const params = new URLSearchParams();
+    if (width) params.set("w", width);
+    if (format) params.set("f", format);
+    const query = params.toString();
+    return `memory://${publicId}${query ? `?${query}` : ""}`;
+  };
+
+  return {
+    name: "memory",
+    files,
+
+    upload: async (fileBuffer, { folder, publicId, overwrite = true }) => {
+      const id = `${folder}/${publicId || uuidv4()}`;
+      if (!overwrite && files.has(id)) {
+        throw new Error(`"${id}" already exists`);
+      }
+
+      const metadata = await sharp(fileBuffer).metadata();
+      files.set(id, fileBuffer);
+
+      return {
+        url: url(id),
+        secure_url: url(id),
+        public_id: id,
+        width: metadata.width,
+        height: metadata.height,
+        format: metadata.format === "jpeg" ? "jpg" : metadata.format,
+        resource_type: "image",
+        created_at: new Date().toISOString(),
+        provider: "memory",
+      };
+    },
+
+    delete: async (publicId) => {
+      files.delete(publicId);
+    },
+
+    url,
+  };
+};
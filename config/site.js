@@ -0,0 +1,25 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Public frontend address, used for links in emails, feeds and sitemaps
+export const SITE_URL = (
+  process.env.SITE_URL || "http://localhost:5173"
+).replace(/\/+$/, "");
+
+export const SITE_NAME = process.env.SITE_NAME || "CAMBLOG";
+
+/**
+ * Public URL of a blog post on the frontend
+ * @param {Object} blog - Blog with an id and, when it has one, a slug
+ * @returns {String} Absolute URL
+ */
+export const getBlogUrl = (blog) => `${SITE_URL}/blog/${blog.slug || blog.id}`;
+
+/**
+ * Public URL of a category listing on the frontend
+ * @param {Object} category - Category with a slug
+ * @returns {String} Absolute URL
+ */
+export const getCategoryUrl = (category) =>
+  `${SITE_URL}/category/${category.slug}`;
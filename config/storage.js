@@ -0,0 +1,85 @@
+import dotenv from "dotenv";
+import { createCloudinaryStorage } from "./cloudinary.js";
+import { createLocalStorage } from "./localStorage.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+
+dotenv.config();
+
+/*
+ * Every provider implements:
+ *   upload(buffer, { folder, publicId, overwrite }) → { public_id, url,
+ *     secure_url, width, height, format, resource_type, created_at, provider }
+ *     (publicId is generated when omitted)
+ *   delete(publicId) → resolves once the file is gone
+ *   url(publicId, { width, format }) → delivery URL, at most `width` wide
+ * Providers that serve their own files also expose an Express `router` and
+ * the `mountPath` it belongs at.
+ */
+const PROVIDERS = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+  memory: createMemoryStorage,
+};
+
+const providerName = process.env.STORAGE_PROVIDER || "cloudinary";
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(
+    `Unknown STORAGE_PROVIDER "${providerName}". Use cloudinary, local or memory.`
+  );
+}
+
+const providers = {};
+
+/**
+ * Provider by name, created on first use
+ * @param {String} name - "cloudinary", "local" or "memory" (default: STORAGE_PROVIDER)
+ * @returns {Object} Storage provider
+ */
+export const getStorage = (name = providerName) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown storage provider "${name}"`);
+  }
+  providers[name] ??= PROVIDERS[name]();
+  return providers[name];
+};
+
+const storage = getStorage();
+
+// Images stored before providers were recorded all live on Cloudinary
+const providerFor = (image) => getStorage(image.provider || "cloudinary");
+
+/**
+ * Delivery URL for stored image metadata, from whichever provider holds it
+ * @param {Object} image - Stored metadata ({ public_id, provider })
+ * @param {Object} options - { width, format }
+ * @returns {String} URL
+ */
+export const getImageUrl = (image, options = {}) =>
+  providerFor(image).url(image.public_id, options);
+
+/**
+ * Remove a stored image from whichever provider holds it
+ * @param {Object} image - Stored metadata ({ public_id, provider })
+ * @returns {Promise<void>}
+ */
+export const deleteImage = (image) =>
+  providerFor(image).delete(image.public_id);
+
+// Widths offered in srcset, never wider than the stored image
+export const RESPONSIVE_WIDTHS = [320, 480, 768, 1024, 1280, 1600, 1920];
+
+/**
+ * Resized variants of a stored image for srcset
+ * @param {Object} image - Stored metadata ({ public_id, provider, width })
+ * @returns {Array<{width: Number, url: String}>} Narrowest first
+ */
+export const getResponsiveImageUrls = (image) => {
+  const widths = image.width
+    ? [...RESPONSIVE_WIDTHS.filter((width) => width < image.width), image.width]
+    : RESPONSIVE_WIDTHS;
+
+  return widths.map((width) => ({ width, url: getImageUrl(image, { width }) }));
+};
+
+export default storage;
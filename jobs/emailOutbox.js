@@ -0,0 +1,99 @@
+import db, { withTransaction } from "../config/db.js";
+import mailer, { MAIL_FROM } from "../config/mailer.js";
+
+const INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+// Wait 1, 2, 4, 8... minutes between attempts
+const retryDelayMinutes = (attempts) => 2 ** (attempts - 1);
+
+// Claim due messages so concurrent workers do not send them twice.
+// The claim is a 10 minute lease: if the worker dies mid-send, the message
+// becomes due again.
+const claimDueMessages = () =>
+  withTransaction(async (connection) => {
+    const [messages] = await connection.query(
+      `SELECT * FROM email_outbox
+       WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [BATCH_SIZE]
+    );
+
+    if (messages.length > 0) {
+      await connection.query(
+        `UPDATE email_outbox
+         SET status = 'sending', next_attempt_at = DATE_ADD(NOW(), INTERVAL 10 MINUTE)
+         WHERE id IN (?)`,
+        [messages.map((message) => message.id)]
+      );
+    }
+
+    return messages;
+  });
+
+/**
+ * Send due outbox messages, rescheduling failures with exponential backoff.
+ * Messages that fail MAIL_MAX_ATTEMPTS times are marked "failed".
+ * @returns {Promise<{sent: Number, failed: Number}>} Counts for this run
+ */
+export const processOutbox = async () => {
+  const messages = await claimDueMessages();
+  let sent = 0;
+  let failed = 0;
+
+  for (const message of messages) {
+    try {
+      await mailer.sendMail({
+        from: MAIL_FROM,
+        to: message.recipient,
+        subject: message.subject,
+        text: message.text_body,
+        html: message.html_body,
+      });
+
+      await db.query(
+        "UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL WHERE id = ?",
+        [message.id]
+      );
+      sent++;
+    } catch (error) {
+      const attempts = message.attempts + 1;
+      const giveUp = attempts >= MAX_ATTEMPTS;
+
+      await db.query(
+        `UPDATE email_outbox
+         SET status = ?, attempts = ?, last_error = ?,
+             next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE id = ?`,
+        [
+          giveUp ? "failed" : "pending",
+          attempts,
+          error.message,
+          retryDelayMinutes(attempts),
+          message.id,
+        ]
+      );
+      failed++;
+      console.error(
+        `Error sending email ${message.id} (attempt ${attempts}):`,
+        error.message
+      );
+    }
+  }
+
+  return { sent, failed };
+};
+
+// Run processOutbox every 30 seconds
+export const startOutboxWorker = () => {
+  const run = () =>
+    processOutbox().catch((error) =>
+      console.error("Error processing email outbox:", error)
+    );
+
+  run();
+  return setInterval(run, INTERVAL_MS);
+};
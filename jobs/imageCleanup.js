@@ -0,0 +1,18 @@
+import { deleteUnusedImages } from "../utils/images.js";
+
+const INTERVAL_MS = 60 * 60 * 1000;
+
+// Run deleteUnusedImages every hour
+export const startImageCleanup = () => {
+  const run = () =>
+    deleteUnusedImages()
+      .then(({ deleted, failed }) => {
+        if (deleted > 0 || failed > 0) {
+          console.log(`Deleted ${deleted} unused image(s), ${failed} failed`);
+        }
+      })
+      .catch((error) => console.error("Error cleaning up images:", error));
+
+  run();
+  return setInterval(run, INTERVAL_MS);
+};
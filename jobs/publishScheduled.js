@@ -0,0 +1,40 @@
+import db from "../config/db.js";
+import { markSubmissionsPublished } from "../utils/submissions.js";
+
+const INTERVAL_MS = 60 * 1000;
+
+/**
+ * Flip scheduled posts whose publish time has passed to "published".
+ * Public queries already treat them as live; this keeps the stored status honest.
+ * @returns {Promise<Array<String>>} IDs of the posts that were published
+ */
+export const publishDuePosts = async () => {
+  const [due] = await db.query(
+    "SELECT id FROM blogs WHERE status = 'scheduled' AND publish_at <= NOW()"
+  );
+
+  if (due.length === 0) return [];
+
+  const ids = due.map((blog) => blog.id);
+  // The content is unchanged (and already public), so updated_at stays
+  await db.query(
+    "UPDATE blogs SET status = 'published', updated_at = updated_at WHERE id IN (?) AND status = 'scheduled'",
+    [ids]
+  );
+
+  await markSubmissionsPublished(db, ids);
+
+  console.log(`Published ${ids.length} scheduled post(s)`);
+  return ids;
+};
+
+// Run publishDuePosts every minute
+export const startPublishScheduler = () => {
+  const run = () =>
+    publishDuePosts().catch((error) =>
+      console.error("Error publishing scheduled posts:", error)
+    );
+
+  run();
+  return setInterval(run, INTERVAL_MS);
+};
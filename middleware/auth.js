@@ -0,0 +1,82 @@
+import db from "../config/db.js";
+import { canManageBlog, verifySessionToken } from "../utils/auth.js";
+import { sendError } from "../utils/errors.js";
+
+// Read the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Load the active user behind a session token, or null
+const loadUserFromToken = async (token) => {
+  const sessionId = verifySessionToken(token);
+  if (!sessionId) return null;
+
+  const [rows] = await db.query(
+    `SELECT u.id, u.email, u.name, u.role, s.id AS session_id
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.expires_at > NOW() AND u.is_active = 1`,
+    [sessionId]
+  );
+
+  return rows[0] || null;
+};
+
+/**
+ * Require an authenticated user with one of the given roles.
+ * With no roles, any signed-in user is allowed.
+ * Sets req.user to { id, email, name, role, session_id }.
+ */
+export const requireRole =
+  (...roles) =>
+  async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      if (!token) {
+        return sendError(res, 401, "Authentication required");
+      }
+
+      const user = await loadUserFromToken(token);
+      if (!user) {
+        return sendError(res, 401, "Invalid or expired session");
+      }
+
+      if (roles.length > 0 && !roles.includes(user.role)) {
+        return sendError(res, 403, "Insufficient permissions");
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error("Error authenticating request:", error);
+      sendError(res, 500, "Failed to authenticate request");
+    }
+  };
+
+export const requireAuth = requireRole();
+
+// Check the current user may manage the blog in req.params.id
+export const authorizeBlogAccess = async (req, res, next) => {
+  try {
+    const [blogs] = await db.query(
+      "SELECT id, created_by FROM blogs WHERE id = ?",
+      [req.params.id]
+    );
+
+    if (blogs.length === 0) {
+      return sendError(res, 404, "Blog not found");
+    }
+
+    if (!canManageBlog(req.user, blogs[0])) {
+      return sendError(res, 403, "You can only manage your own posts");
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error checking blog access:", error);
+    sendError(res, 500, "Failed to check blog access");
+  }
+};
@@ -0,0 +1,67 @@
+import multer from "multer";
+import { HttpError, sendError } from "../utils/errors.js";
+import { MAX_UPLOAD_BYTES } from "./upload.js";
+
+// Multer limit codes that get their own response; the rest are 400 UPLOAD_REJECTED
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: {
+    status: 413,
+    code: "FILE_TOO_LARGE",
+    message: `File is too large (at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB)`,
+  },
+  LIMIT_UNEXPECTED_FILE: {
+    status: 400,
+    code: "UNEXPECTED_FILE",
+  },
+};
+
+// Requests that matched no route
+export const notFoundHandler = (req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`);
+};
+
+/**
+ * Last middleware: turns anything passed to next(error) or thrown from a
+ * route into an error response
+ */
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error instanceof HttpError) {
+    return sendError(res, error.status, error.message, {
+      code: error.code,
+      details: error.details,
+    });
+  }
+
+  if (error instanceof multer.MulterError) {
+    const known = MULTER_ERRORS[error.code];
+    return sendError(
+      res,
+      known?.status || 400,
+      known?.message ||
+        (error.field ? `${error.message}: ${error.field}` : error.message),
+      { code: known?.code || "UPLOAD_REJECTED" }
+    );
+  }
+
+  // express.json() and express.urlencoded()
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "Request body is not valid JSON", {
+      code: "INVALID_JSON",
+    });
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(res, 413, "Request body is too large");
+  }
+
+  // Other client errors raised by Express and its middleware
+  if (error.status >= 400 && error.status < 500 && error.expose) {
+    return sendError(res, error.status, error.message);
+  }
+
+  console.error(`Unhandled error in ${req.method} ${req.originalUrl}:`, error);
+  sendError(res, 500, "Internal server error", { details: error.message });
+};
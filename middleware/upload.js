@@ -1,22 +1,24 @@
 import multer, { memoryStorage } from "multer";
+import { IMAGE_MIME_TYPES, validateImage } from "../utils/imageProcessor.js";
+import { HttpError, sendError } from "../utils/errors.js";
+
+// Largest file accepted (larger uploads get 413 FILE_TOO_LARGE)
+export const MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
 
 // Configure multer to use memory storage (buffer)
 const storage = memoryStorage();
 
-// File filter - only accept images
+// File filter - only accept images (the content is checked by verifyImage)
 const fileFilter = (req, file, cb) => {
-  const allowedMimeTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/webp",
-  ];
-
-  if (allowedMimeTypes.includes(file.mimetype)) {
+  if (IMAGE_MIME_TYPES[file.mimetype]) {
     cb(null, true);
   } else {
     cb(
-      new Error("Invalid file type. Only JPEG, PNG, and WebP are allowed."),
+      new HttpError(
+        415,
+        "Invalid file type. Only JPEG, PNG, WebP and AVIF are allowed.",
+        { code: "INVALID_FILE_TYPE" }
+      ),
       false
     );
   }
@@ -27,8 +29,35 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 2 * 1024 * 1024, // 2MB max file size
+    fileSize: MAX_UPLOAD_BYTES,
   },
 });
 
+/**
+ * Reject an uploaded image whose bytes are not the type it claims to be, or
+ * whose dimensions are outside the limits for its upload type (400
+ * INVALID_IMAGE). Runs after upload.single(); requests without a file pass
+ * through. Multer's own errors reach middleware/errorHandler.js.
+ * @param {String} type - "featured", "body" or "avatar" (see config/images.js)
+ * @returns {Function} Express middleware
+ */
+export const verifyImage = (type) => async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    const result = await validateImage(
+      req.file.buffer,
+      req.file.mimetype,
+      type
+    );
+    if (result.error) {
+      return sendError(res, 400, result.error, { code: "INVALID_IMAGE" });
+    }
+    next();
+  } catch (error) {
+    console.error("Error verifying image:", error);
+    sendError(res, 500, "Failed to read image", { details: error.message });
+  }
+};
+
 export default upload;
@@ -0,0 +1,29 @@
+import { validationResult } from "express-validator";
+import { sendError } from "../utils/errors.js";
+
+/**
+ * Run express-validator chains, then answer 400 VALIDATION_FAILED if any
+ * failed. The message is the first failure; details list one per field.
+ * @param {...(Object|Array)} rules - Validation chains or arrays of them
+ * @returns {Array} Middleware for a route definition
+ */
+export const validate = (...rules) => [
+  ...rules.flat(),
+  (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) return next();
+
+    const details = result
+      .array({ onlyFirstError: true })
+      .map(({ path, location, msg }) => ({
+        field: path,
+        location,
+        message: msg,
+      }));
+
+    sendError(res, 400, details[0].message, {
+      code: "VALIDATION_FAILED",
+      details,
+    });
+  },
+];
@@ -0,0 +1,2 @@
+DROP TABLE blog_submissions;
+DROP TABLE blogs;
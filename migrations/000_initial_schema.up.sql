@@ -0,0 +1,30 @@
+-- The posts and submissions tables as they were before migration 001; the
+-- numbered migrations build today's schema on top of them. Databases created
+-- by hand before the migration runner existed already have these tables: mark
+-- the migrations they have applied with `npm run migrate -- baseline <version>`.
+
+CREATE TABLE blogs (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  published_date DATE NULL,
+  category VARCHAR(100) NULL,
+  authors JSON NULL,
+  featured_image JSON NULL,
+  body LONGTEXT NULL,
+  comments_count INT NOT NULL DEFAULT 0,
+  comments JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_blogs_category (category),
+  KEY idx_blogs_published (published_date, created_at)
+);
+
+CREATE TABLE blog_submissions (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  blog_title VARCHAR(255) NOT NULL,
+  category VARCHAR(100) NOT NULL,
+  blog_content VARCHAR(2000) NOT NULL,
+  status ENUM('Received', 'Accepted', 'Published') NOT NULL DEFAULT 'Received',
+  submission_time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
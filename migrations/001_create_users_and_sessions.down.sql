@@ -0,0 +1,6 @@
+ALTER TABLE blogs
+  DROP KEY idx_blogs_created_by,
+  DROP COLUMN created_by;
+
+DROP TABLE sessions;
+DROP TABLE users;
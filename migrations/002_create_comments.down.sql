@@ -0,0 +1,20 @@
+ALTER TABLE blogs ADD COLUMN comments JSON NULL;
+
+UPDATE blogs b
+SET b.comments = (
+  SELECT JSON_ARRAYAGG(
+    JSON_OBJECT(
+      'id', c.id,
+      'name', c.name,
+      'email', c.email,
+      'text', c.text,
+      'timestamp', DATE_FORMAT(c.created_at, '%Y-%m-%dT%H:%i:%s.%fZ')
+    )
+  )
+  FROM comments c
+  WHERE c.blog_id = b.id
+);
+
+UPDATE blogs SET comments = JSON_ARRAY() WHERE comments IS NULL;
+
+DROP TABLE comments;
@@ -0,0 +1,39 @@
+-- Move comments out of the blogs.comments JSON column into their own table.
+
+CREATE TABLE comments (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  blog_id CHAR(36) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  text TEXT NOT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  KEY idx_comments_blog_created (blog_id, created_at),
+  CONSTRAINT fk_comments_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE
+);
+
+-- Copy the existing JSON arrays, keeping comment ids and timestamps
+INSERT INTO comments (id, blog_id, name, email, text, created_at)
+SELECT
+  COALESCE(jt.id, UUID()),
+  b.id,
+  COALESCE(jt.name, ''),
+  COALESCE(jt.email, ''),
+  COALESCE(jt.text, ''),
+  COALESCE(STR_TO_DATE(jt.timestamp, '%Y-%m-%dT%H:%i:%s.%fZ'), b.created_at)
+FROM blogs b,
+  JSON_TABLE(
+    b.comments,
+    '$[*]' COLUMNS (
+      id CHAR(36) PATH '$.id',
+      name VARCHAR(100) PATH '$.name',
+      email VARCHAR(255) PATH '$.email',
+      text TEXT PATH '$.text',
+      timestamp VARCHAR(40) PATH '$.timestamp'
+    )
+  ) AS jt
+WHERE b.comments IS NOT NULL AND JSON_VALID(b.comments);
+
+UPDATE blogs b
+SET b.comments_count = (SELECT COUNT(*) FROM comments c WHERE c.blog_id = b.id);
+
+ALTER TABLE blogs DROP COLUMN comments;
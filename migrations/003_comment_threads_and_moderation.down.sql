@@ -0,0 +1,15 @@
+-- The flat model has no moderation; replies become top-level comments
+DELETE FROM comments WHERE status <> 'approved';
+
+ALTER TABLE comments
+  DROP FOREIGN KEY fk_comments_parent,
+  DROP KEY idx_comments_blog_status,
+  DROP KEY idx_comments_status_created,
+  DROP KEY idx_comments_email_status,
+  DROP COLUMN moderated_at,
+  DROP COLUMN moderated_by,
+  DROP COLUMN status,
+  DROP COLUMN parent_id;
+
+UPDATE blogs b
+SET b.comments_count = (SELECT COUNT(*) FROM comments c WHERE c.blog_id = b.id);
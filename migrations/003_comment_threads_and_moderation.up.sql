@@ -0,0 +1,14 @@
+-- Threaded replies and a moderation state for comments.
+
+ALTER TABLE comments
+  ADD COLUMN parent_id CHAR(36) NULL AFTER blog_id,
+  ADD COLUMN status ENUM('pending', 'approved', 'spam', 'rejected') NOT NULL DEFAULT 'pending',
+  ADD COLUMN moderated_by CHAR(36) NULL,
+  ADD COLUMN moderated_at DATETIME NULL,
+  ADD KEY idx_comments_blog_status (blog_id, status, parent_id, created_at),
+  ADD KEY idx_comments_status_created (status, created_at),
+  ADD KEY idx_comments_email_status (email, status),
+  ADD CONSTRAINT fk_comments_parent FOREIGN KEY (parent_id) REFERENCES comments (id) ON DELETE CASCADE;
+
+-- Comments that were already live stay live
+UPDATE comments SET status = 'approved';
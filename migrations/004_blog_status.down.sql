@@ -0,0 +1,4 @@
+ALTER TABLE blogs
+  DROP KEY idx_blogs_status_publish_at,
+  DROP COLUMN publish_at,
+  DROP COLUMN status;
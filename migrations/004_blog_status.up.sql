@@ -0,0 +1,9 @@
+-- Draft / scheduled / published / archived lifecycle for posts.
+
+ALTER TABLE blogs
+  ADD COLUMN status ENUM('draft', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'draft',
+  ADD COLUMN publish_at DATETIME NULL,
+  ADD KEY idx_blogs_status_publish_at (status, publish_at);
+
+-- Everything that exists today is already public
+UPDATE blogs SET status = 'published', publish_at = COALESCE(published_date, created_at);
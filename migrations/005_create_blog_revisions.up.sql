@@ -0,0 +1,24 @@
+-- Snapshot of a post after every edit, for history and rollback.
+
+CREATE TABLE blog_revisions (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  blog_id CHAR(36) NOT NULL,
+  revision_number INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  published_date DATE NULL,
+  category VARCHAR(100) NULL,
+  authors JSON NULL,
+  featured_image JSON NULL,
+  body LONGTEXT NULL,
+  edited_by CHAR(36) NULL,
+  note VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_blog_revisions_number (blog_id, revision_number),
+  CONSTRAINT fk_blog_revisions_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE
+);
+
+-- The current content of every post becomes its first revision
+INSERT INTO blog_revisions
+  (id, blog_id, revision_number, title, published_date, category, authors, featured_image, body, edited_by, note)
+SELECT UUID(), id, 1, title, published_date, category, authors, featured_image, body, created_by, 'Initial revision'
+FROM blogs;
@@ -0,0 +1,4 @@
+ALTER TABLE blog_submissions
+  DROP FOREIGN KEY fk_blog_submissions_blog,
+  DROP KEY uq_blog_submissions_blog,
+  DROP COLUMN blog_id;
@@ -0,0 +1,6 @@
+-- Link a submission to the draft post created from it.
+
+ALTER TABLE blog_submissions
+  ADD COLUMN blog_id CHAR(36) NULL,
+  ADD UNIQUE KEY uq_blog_submissions_blog (blog_id),
+  ADD CONSTRAINT fk_blog_submissions_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE SET NULL;
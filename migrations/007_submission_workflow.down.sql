@@ -0,0 +1,14 @@
+DROP TABLE submission_status_history;
+DROP TABLE submission_notes;
+
+-- Fold the new states back into the original three
+UPDATE blog_submissions
+SET status = 'Received'
+WHERE status NOT IN ('Received', 'Accepted', 'Published');
+
+ALTER TABLE blog_submissions
+  DROP FOREIGN KEY fk_blog_submissions_reviewer,
+  DROP KEY idx_blog_submissions_status,
+  DROP COLUMN updated_at,
+  DROP COLUMN reviewer_id,
+  MODIFY COLUMN status ENUM('Received', 'Accepted', 'Published') NOT NULL DEFAULT 'Received';
@@ -0,0 +1,38 @@
+-- Submission review workflow: more states, reviewer assignment, internal
+-- notes and an audit trail of status changes.
+
+ALTER TABLE blog_submissions
+  MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'Received',
+  ADD COLUMN reviewer_id CHAR(36) NULL,
+  ADD COLUMN updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  ADD KEY idx_blog_submissions_status (status),
+  ADD CONSTRAINT fk_blog_submissions_reviewer FOREIGN KEY (reviewer_id) REFERENCES users (id) ON DELETE SET NULL;
+
+CREATE TABLE submission_notes (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  submission_id CHAR(36) NOT NULL,
+  author_id CHAR(36) NULL,
+  note TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_submission_notes_submission (submission_id, created_at),
+  CONSTRAINT fk_submission_notes_submission FOREIGN KEY (submission_id) REFERENCES blog_submissions (id) ON DELETE CASCADE,
+  CONSTRAINT fk_submission_notes_author FOREIGN KEY (author_id) REFERENCES users (id) ON DELETE SET NULL
+);
+
+CREATE TABLE submission_status_history (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  submission_id CHAR(36) NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  changed_by CHAR(36) NULL,
+  comment VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_submission_history_submission (submission_id, created_at),
+  CONSTRAINT fk_submission_history_submission FOREIGN KEY (submission_id) REFERENCES blog_submissions (id) ON DELETE CASCADE,
+  CONSTRAINT fk_submission_history_user FOREIGN KEY (changed_by) REFERENCES users (id) ON DELETE SET NULL
+);
+
+-- Start every existing submission's history at its current status
+INSERT INTO submission_status_history (id, submission_id, from_status, to_status, comment, created_at)
+SELECT UUID(), id, NULL, status, 'Imported', submission_time
+FROM blog_submissions;
@@ -0,0 +1,4 @@
+ALTER TABLE blogs
+  DROP KEY ft_blogs_title,
+  DROP KEY ft_blogs_search,
+  DROP COLUMN search_meta;
@@ -0,0 +1,19 @@
+-- Full-text search over title, body, authors and category.
+-- search_meta holds the category and author names (kept up to date by the app)
+-- because FULLTEXT indexes cannot cover JSON columns.
+
+ALTER TABLE blogs ADD COLUMN search_meta TEXT NULL;
+
+UPDATE blogs b
+SET b.search_meta = CONCAT_WS(
+  ' ',
+  b.category,
+  (
+    SELECT GROUP_CONCAT(a.name SEPARATOR ' ')
+    FROM JSON_TABLE(b.authors, '$[*]' COLUMNS (name VARCHAR(255) PATH '$')) AS a
+  )
+);
+
+ALTER TABLE blogs
+  ADD FULLTEXT KEY ft_blogs_search (title, body, search_meta),
+  ADD FULLTEXT KEY ft_blogs_title (title);
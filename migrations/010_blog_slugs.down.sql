@@ -0,0 +1,5 @@
+DROP TABLE blog_slug_history;
+
+ALTER TABLE blogs
+  DROP KEY uq_blogs_slug,
+  DROP COLUMN slug;
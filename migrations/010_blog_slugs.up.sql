@@ -0,0 +1,14 @@
+-- Unique, human-readable permalinks. Old slugs keep resolving through
+-- blog_slug_history. Fill slugs for existing posts with `npm run backfill-slugs`.
+
+ALTER TABLE blogs
+  ADD COLUMN slug VARCHAR(100) NULL,
+  ADD UNIQUE KEY uq_blogs_slug (slug);
+
+CREATE TABLE blog_slug_history (
+  slug VARCHAR(100) NOT NULL PRIMARY KEY,
+  blog_id CHAR(36) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_blog_slug_history_blog (blog_id),
+  CONSTRAINT fk_blog_slug_history_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE
+);
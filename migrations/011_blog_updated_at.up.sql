@@ -0,0 +1,6 @@
+-- Last change time of each post, for feed Last-Modified headers and sitemaps.
+
+ALTER TABLE blogs
+  ADD COLUMN updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
+
+UPDATE blogs SET updated_at = created_at;
@@ -0,0 +1,16 @@
+DROP TABLE blog_tags;
+DROP TABLE tags;
+
+ALTER TABLE blog_submissions
+  DROP FOREIGN KEY fk_blog_submissions_category,
+  DROP COLUMN category_id;
+
+ALTER TABLE blog_revisions
+  DROP FOREIGN KEY fk_blog_revisions_category,
+  DROP COLUMN category_id;
+
+ALTER TABLE blogs
+  DROP FOREIGN KEY fk_blogs_category,
+  DROP COLUMN category_id;
+
+DROP TABLE categories;
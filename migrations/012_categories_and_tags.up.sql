@@ -0,0 +1,63 @@
+-- Managed categories and many-to-many tags. blogs.category stays as the
+-- category's display name (kept in sync on rename) so revisions, search and
+-- feeds keep reading it; category_id is the source of truth.
+-- Fill slugs for the migrated categories with `npm run backfill-slugs`.
+
+CREATE TABLE categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(100) NULL,
+  description TEXT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_categories_name (name),
+  UNIQUE KEY uq_categories_slug (slug)
+);
+
+INSERT INTO categories (name)
+SELECT DISTINCT TRIM(category)
+FROM blogs
+WHERE category IS NOT NULL AND TRIM(category) <> '';
+
+ALTER TABLE blogs
+  ADD COLUMN category_id INT NULL AFTER category,
+  ADD CONSTRAINT fk_blogs_category FOREIGN KEY (category_id) REFERENCES categories (id);
+
+UPDATE blogs b
+JOIN categories c ON c.name = TRIM(b.category)
+SET b.category_id = c.id, b.category = c.name, b.updated_at = b.updated_at;
+
+ALTER TABLE blog_revisions
+  ADD COLUMN category_id INT NULL AFTER category,
+  ADD CONSTRAINT fk_blog_revisions_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL;
+
+UPDATE blog_revisions r
+JOIN categories c ON c.name = TRIM(r.category)
+SET r.category_id = c.id;
+
+ALTER TABLE blog_submissions
+  ADD COLUMN category_id INT NULL AFTER category,
+  ADD CONSTRAINT fk_blog_submissions_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL;
+
+UPDATE blog_submissions s
+JOIN categories c ON c.name = TRIM(s.category)
+SET s.category_id = c.id;
+
+CREATE TABLE tags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  slug VARCHAR(60) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_tags_name (name),
+  UNIQUE KEY uq_tags_slug (slug)
+);
+
+CREATE TABLE blog_tags (
+  blog_id CHAR(36) NOT NULL,
+  tag_id INT NOT NULL,
+  PRIMARY KEY (blog_id, tag_id),
+  KEY idx_blog_tags_tag (tag_id),
+  CONSTRAINT fk_blog_tags_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE,
+  CONSTRAINT fk_blog_tags_tag FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+);
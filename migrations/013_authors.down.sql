@@ -0,0 +1,2 @@
+DROP TABLE blog_authors;
+DROP TABLE authors;
@@ -0,0 +1,43 @@
+-- Author profiles linked to posts in order. blogs.authors stays as the list of
+-- author names (kept in sync on rename) for search, feeds and revisions;
+-- blog_authors is the source of truth.
+-- Fill slugs for the migrated authors with `npm run backfill-slugs`.
+
+CREATE TABLE authors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(100) NULL,
+  bio TEXT NULL,
+  avatar JSON NULL,
+  social_links JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_authors_slug (slug),
+  KEY idx_authors_name (name)
+);
+
+CREATE TABLE blog_authors (
+  blog_id CHAR(36) NOT NULL,
+  author_id INT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (blog_id, author_id),
+  KEY idx_blog_authors_author (author_id),
+  CONSTRAINT fk_blog_authors_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE,
+  CONSTRAINT fk_blog_authors_author FOREIGN KEY (author_id) REFERENCES authors (id)
+);
+
+-- One profile per distinct name found in the existing JSON arrays
+INSERT INTO authors (name)
+SELECT DISTINCT TRIM(jt.name)
+FROM blogs b,
+     JSON_TABLE(b.authors, '$[*]' COLUMNS (name VARCHAR(100) PATH '$')) jt
+WHERE jt.name IS NOT NULL AND TRIM(jt.name) <> '';
+
+INSERT IGNORE INTO blog_authors (blog_id, author_id, position)
+SELECT b.id, a.id, jt.position - 1
+FROM blogs b,
+     JSON_TABLE(b.authors, '$[*]' COLUMNS (
+       position FOR ORDINALITY,
+       name VARCHAR(100) PATH '$'
+     )) jt
+JOIN authors a ON a.name = TRIM(jt.name);
@@ -0,0 +1,13 @@
+ALTER TABLE blog_revisions
+  DROP COLUMN body_format,
+  DROP COLUMN body_source;
+
+-- HTML posts get their original markup back; Markdown posts keep the rendering
+UPDATE blogs SET body = body_source WHERE body_format = 'html' AND body_source IS NOT NULL;
+
+ALTER TABLE blogs
+  DROP COLUMN reading_time,
+  DROP COLUMN word_count,
+  DROP COLUMN excerpt,
+  DROP COLUMN body_format,
+  DROP COLUMN body_source;
@@ -0,0 +1,18 @@
+-- Bodies are authored as Markdown or HTML (body_source, body_format) and
+-- stored rendered and sanitized in body, with a plain-text excerpt and reading
+-- stats. Render existing posts afterwards with `npm run render-posts`.
+
+ALTER TABLE blogs
+  ADD COLUMN body_source LONGTEXT NULL AFTER body,
+  ADD COLUMN body_format ENUM('html', 'markdown') NOT NULL DEFAULT 'html' AFTER body_source,
+  ADD COLUMN excerpt VARCHAR(400) NULL AFTER body_format,
+  ADD COLUMN word_count INT NOT NULL DEFAULT 0 AFTER excerpt,
+  ADD COLUMN reading_time INT NOT NULL DEFAULT 1 AFTER word_count;
+
+UPDATE blogs SET body_source = body, updated_at = updated_at;
+
+ALTER TABLE blog_revisions
+  ADD COLUMN body_source LONGTEXT NULL AFTER body,
+  ADD COLUMN body_format ENUM('html', 'markdown') NOT NULL DEFAULT 'html' AFTER body_source;
+
+UPDATE blog_revisions SET body_source = body;
@@ -0,0 +1,5 @@
+-- Nested outline of each post's headings, built when the body is rendered.
+-- Run `npm run render-posts` afterwards to add heading anchors to existing posts.
+
+ALTER TABLE blogs
+  ADD COLUMN toc JSON NULL AFTER body_format;
@@ -0,0 +1,2 @@
+DROP TABLE blog_images;
+DROP TABLE images;
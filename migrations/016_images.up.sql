@@ -0,0 +1,47 @@
+-- Every stored upload and the posts that use it. blog_images is rebuilt from a
+-- post's featured image and the image URLs in its body whenever it is saved.
+-- released_at is when an image lost its last post; the cleanup job deletes
+-- unused images once the grace period has passed since then (or since
+-- created_at for images that were never used).
+
+CREATE TABLE images (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  public_id VARCHAR(255) NOT NULL,
+  kind ENUM('featured', 'body', 'avatar') NOT NULL,
+  uploaded_by CHAR(36) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  released_at DATETIME NULL,
+  UNIQUE KEY uq_images_public_id (provider, public_id),
+  CONSTRAINT fk_images_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES users (id) ON DELETE SET NULL
+);
+
+CREATE TABLE blog_images (
+  blog_id CHAR(36) NOT NULL,
+  image_id INT NOT NULL,
+  PRIMARY KEY (blog_id, image_id),
+  KEY idx_blog_images_image (image_id),
+  CONSTRAINT fk_blog_images_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE,
+  CONSTRAINT fk_blog_images_image FOREIGN KEY (image_id) REFERENCES images (id) ON DELETE CASCADE
+);
+
+-- Existing featured images and avatars. Body images uploaded before this
+-- migration were never recorded, so cleanup leaves them alone.
+INSERT IGNORE INTO images (provider, public_id, kind, created_at)
+SELECT COALESCE(featured_image->>'$.provider', 'cloudinary'),
+       featured_image->>'$.public_id', 'featured', created_at
+FROM blogs
+WHERE featured_image->>'$.public_id' IS NOT NULL;
+
+INSERT IGNORE INTO blog_images (blog_id, image_id)
+SELECT b.id, i.id
+FROM blogs b
+JOIN images i
+  ON i.provider = COALESCE(b.featured_image->>'$.provider', 'cloudinary')
+ AND i.public_id = b.featured_image->>'$.public_id';
+
+INSERT IGNORE INTO images (provider, public_id, kind, created_at)
+SELECT COALESCE(avatar->>'$.provider', 'cloudinary'),
+       avatar->>'$.public_id', 'avatar', created_at
+FROM authors
+WHERE avatar->>'$.public_id' IS NOT NULL;
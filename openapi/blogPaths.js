@@ -0,0 +1,504 @@
+import { BLOG_SORT_OPTIONS, BLOG_STATUSES } from "../utils/blogQueries.js";
+import { BODY_FORMATS } from "../utils/content.js";
+import { MAX_TAGS_PER_POST } from "../utils/taxonomy.js";
+import {
+  bearer,
+  errors,
+  json,
+  jsonBody,
+  nullable,
+  object,
+  pagination,
+  paginationParams,
+  pathParam,
+  queryParam,
+  ref,
+} from "./components.js";
+
+const blogId = pathParam("id", undefined, "Post id");
+
+// Filters shared by the public and admin listings
+const listFilters = [
+  queryParam(
+    "category",
+    { type: "string", maxLength: 100 },
+    'Category slug or name ("All" means every category)'
+  ),
+  queryParam(
+    "tags",
+    { type: "string" },
+    "Tag slugs, comma-separated or repeated (?tags=a&tags=b)"
+  ),
+  queryParam(
+    "tagMatch",
+    { type: "string", enum: ["all", "any"], default: "all" },
+    "Posts with every tag, or with any of them"
+  ),
+  queryParam(
+    "search",
+    { type: "string", maxLength: 200 },
+    'Full-text search; supports "quoted phrases" and -excluded words'
+  ),
+  queryParam(
+    "sortBy",
+    { type: "string", enum: BLOG_SORT_OPTIONS },
+    "Defaults to relevance when searching, latest otherwise"
+  ),
+];
+
+const filters = (extra = {}) =>
+  object({
+    category: nullable({ type: "string" }),
+    tags: { type: "array", items: { type: "string" } },
+    tagMatch: { type: "string", enum: ["all", "any"] },
+    search: nullable({ type: "string" }),
+    ...extra,
+    sortBy: { type: "string", enum: BLOG_SORT_OPTIONS },
+  });
+
+const blogList = (extraFilters) =>
+  object({
+    blogs: { type: "array", items: ref("BlogSummary") },
+    pagination: pagination("totalBlogs"),
+    filters: filters(extraFilters),
+  });
+
+/**
+ * Request body of a post. New posts need title, published_date, category,
+ * body and authors (or author_ids); updates take any of them.
+ * @param {Object} options - { partial: updates, multipart: form fields }
+ * @returns {Object} Object schema
+ */
+const blogInput = ({ partial = false, multipart = false } = {}) => {
+  // Multipart forms send lists as JSON or comma-separated text
+  const list = (items, description) => ({
+    type: multipart ? "string" : "array",
+    ...(multipart ? {} : { items }),
+    description,
+  });
+
+  const schema = {
+    type: "object",
+    properties: {
+      title: { type: "string", minLength: 1, maxLength: 255 },
+      published_date: { type: "string", format: "date" },
+      category: { type: "string", description: "Category name or slug" },
+      body: { type: "string", description: "HTML or Markdown" },
+      body_format: { type: "string", enum: BODY_FORMATS, default: "html" },
+      author_ids: list(
+        { type: "integer" },
+        "Author profile ids in byline order"
+      ),
+      authors: list(
+        { type: "string" },
+        "Author names, for clients without author_ids"
+      ),
+      tags: list(
+        { type: "string", maxLength: 50 },
+        `Tag names (at most ${MAX_TAGS_PER_POST}); replaces the post's tags`
+      ),
+      ...(partial
+        ? {}
+        : {
+            status: { type: "string", enum: BLOG_STATUSES, default: "draft" },
+            publish_at: {
+              type: "string",
+              format: "date-time",
+              description: "Required for scheduled posts",
+            },
+          }),
+      ...(multipart && {
+        featured_image: {
+          type: "string",
+          format: "binary",
+          description: "JPEG, PNG, WebP or AVIF up to 2 MB, at least 600×300",
+        },
+      }),
+      ...(partial && {
+        remove_featured_image: {
+          type: "boolean",
+          description: "Drop the featured image (not with featured_image)",
+        },
+      }),
+    },
+  };
+  if (!partial) {
+    schema.required = ["title", "published_date", "category", "body"];
+  }
+  return schema;
+};
+
+const blogInputBody = (options) => ({
+  required: true,
+  content: {
+    "application/json": { schema: blogInput(options) },
+    "multipart/form-data": {
+      schema: blogInput({ ...options, multipart: true }),
+    },
+  },
+});
+
+const textDiff = object({
+  changed: { type: "boolean" },
+  diff: {
+    type: "array",
+    items: object({
+      value: { type: "string" },
+      added: { type: "boolean" },
+      removed: { type: "boolean" },
+    }),
+  },
+});
+
+// Old and new value of a field (any JSON type)
+const valueDiff = object({ changed: { type: "boolean" }, from: {}, to: {} });
+
+const revisionNumber = (location) => ({
+  name: "revision",
+  in: location,
+  required: true,
+  schema: { type: "integer", minimum: 1 },
+});
+
+const writerOnly = (operation) => ({
+  ...operation,
+  security: bearer,
+  description: [
+    operation.description,
+    "Admins, editors and authors; authors only for their own posts.",
+  ]
+    .filter(Boolean)
+    .join("\n\n"),
+});
+
+// /api/blog, its revision history and uploads
+export const blogPaths = {
+  "/api/blog": {
+    get: {
+      tags: ["Posts"],
+      summary: "List public posts",
+      parameters: [...paginationParams(5), ...listFilters],
+      responses: {
+        200: json("A page of posts", blogList()),
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/api/blog/admin": {
+    get: writerOnly({
+      tags: ["Posts"],
+      summary: "List posts in every status",
+      parameters: [
+        ...paginationParams(20),
+        ...listFilters,
+        queryParam("status", { type: "string", enum: BLOG_STATUSES }),
+      ],
+      responses: {
+        200: json(
+          "A page of posts",
+          blogList({ status: nullable({ type: "string" }) })
+        ),
+        ...errors(400, 401, 403, 500),
+      },
+    }),
+  },
+  "/api/blog/categories": {
+    get: {
+      tags: ["Posts"],
+      summary: "Category names with public posts, in display order",
+      responses: {
+        200: json(
+          '"All" followed by the categories',
+          object({ categories: { type: "array", items: { type: "string" } } })
+        ),
+        ...errors(500),
+      },
+    },
+  },
+  "/api/blog/slug/{slug}": {
+    get: {
+      tags: ["Posts"],
+      summary: "Get a public post by slug",
+      description:
+        "A slug the post used to have returns `{ redirect: true, id, slug }` " +
+        "with the current slug instead of the post.",
+      parameters: [pathParam("slug", { type: "string" })],
+      responses: {
+        200: json("The post, or where it moved", {
+          oneOf: [
+            ref("Blog"),
+            object({
+              redirect: { const: true },
+              id: { type: "string", format: "uuid" },
+              slug: { type: "string" },
+            }),
+          ],
+        }),
+        ...errors(404, 500),
+      },
+    },
+  },
+  "/api/blog/{id}": {
+    get: {
+      tags: ["Posts"],
+      summary: "Get a public post with its approved comments",
+      parameters: [blogId],
+      responses: {
+        200: json("The post", ref("Blog")),
+        ...errors(400, 404, 500),
+      },
+    },
+    put: writerOnly({
+      tags: ["Posts"],
+      summary: "Update a post",
+      description:
+        "Only the fields sent change. A `featured_image` file replaces the " +
+        "featured image and `remove_featured_image` drops it. The old image " +
+        "stays in storage while a revision still shows it.",
+      parameters: [blogId],
+      requestBody: blogInputBody({ partial: true }),
+      responses: {
+        200: json(
+          "Updated",
+          object(
+            {
+              message: { type: "string" },
+              featuredImage: {
+                ...nullable(ref("Image")),
+                description: "Only when the featured image changed",
+              },
+            },
+            ["featuredImage"]
+          )
+        ),
+        ...errors(400, 401, 403, 404, 413, 415, 500),
+      },
+    }),
+    delete: writerOnly({
+      tags: ["Posts"],
+      summary: "Delete a post and its featured image",
+      parameters: [blogId],
+      responses: {
+        200: json("Deleted", ref("Message")),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/{id}/preview": {
+    get: writerOnly({
+      tags: ["Posts"],
+      summary: "Preview a post in any status",
+      parameters: [blogId],
+      responses: {
+        200: json("The post, with body_source and body_format", ref("Blog")),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/new": {
+    post: writerOnly({
+      tags: ["Posts"],
+      summary: "Create a post",
+      description:
+        "Send JSON, or a multipart form to include a featured image. New " +
+        "posts are drafts unless `status` says otherwise.",
+      requestBody: blogInputBody(),
+      responses: {
+        201: json(
+          "Created",
+          object({
+            message: { type: "string" },
+            blogId: { type: "string", format: "uuid" },
+            slug: { type: "string" },
+            status: { type: "string", enum: BLOG_STATUSES },
+            readingTime: { type: "integer" },
+            wordCount: { type: "integer" },
+            featuredImage: nullable(ref("StoredImage")),
+          })
+        ),
+        ...errors(400, 401, 403, 413, 415, 500),
+      },
+    }),
+  },
+  "/api/blog/upload-image": {
+    post: writerOnly({
+      tags: ["Uploads"],
+      summary: "Upload an image for a post body",
+      requestBody: {
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: object({
+              image: {
+                type: "string",
+                format: "binary",
+                description:
+                  "JPEG, PNG, WebP or AVIF up to 2 MB, at least 50×50",
+              },
+            }),
+          },
+        },
+      },
+      responses: {
+        200: json("Stored", {
+          allOf: [
+            ref("Image"),
+            object({
+              message: { type: "string" },
+              url: { type: "string", description: "768px wide version" },
+            }),
+          ],
+        }),
+        ...errors(400, 401, 403, 413, 415, 500),
+      },
+    }),
+  },
+  "/api/blog/{id}/status": {
+    patch: writerOnly({
+      tags: ["Posts"],
+      summary: "Change a post's lifecycle status",
+      parameters: [blogId],
+      requestBody: jsonBody(
+        object(
+          {
+            status: { type: "string", enum: BLOG_STATUSES },
+            publish_at: {
+              type: "string",
+              format: "date-time",
+              description: "Required for scheduled posts",
+            },
+          },
+          ["publish_at"]
+        )
+      ),
+      responses: {
+        200: json(
+          "Updated",
+          object({
+            message: { type: "string" },
+            status: { type: "string", enum: BLOG_STATUSES },
+            publish_at: nullable({ type: "string", format: "date-time" }),
+          })
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/{id}/revisions": {
+    get: writerOnly({
+      tags: ["Revisions"],
+      summary: "List a post's revisions, newest first",
+      description:
+        "Only the newest BLOG_REVISIONS_KEPT (default 50) are kept; older " +
+        "ones are deleted as new ones are saved.",
+      parameters: [blogId],
+      responses: {
+        200: json(
+          "Revisions without their content",
+          object({
+            revisions: {
+              type: "array",
+              items: object({
+                revision_number: { type: "integer" },
+                title: { type: "string" },
+                note: nullable({ type: "string" }),
+                created_at: { type: "string", format: "date-time" },
+                edited_by: nullable({ type: "string" }),
+                edited_by_name: nullable({ type: "string" }),
+              }),
+            },
+          })
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/{id}/revisions/diff": {
+    get: writerOnly({
+      tags: ["Revisions"],
+      summary: "Compare two revisions",
+      parameters: [
+        blogId,
+        { ...revisionNumber("query"), name: "from" },
+        { ...revisionNumber("query"), name: "to" },
+      ],
+      responses: {
+        200: json(
+          "Word diff of the title, line diff of the body, old and new " +
+            "values of the rest",
+          object({
+            from: { type: "integer" },
+            to: { type: "integer" },
+            changes: object({
+              title: textDiff,
+              body: textDiff,
+              body_format: valueDiff,
+              published_date: valueDiff,
+              category: valueDiff,
+              authors: valueDiff,
+              featured_image: valueDiff,
+            }),
+          })
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/{id}/revisions/{revision}": {
+    get: writerOnly({
+      tags: ["Revisions"],
+      summary: "Get a revision with its full content",
+      parameters: [blogId, revisionNumber("path")],
+      responses: {
+        200: json(
+          "The revision",
+          object(
+            {
+              id: { type: "string", format: "uuid" },
+              blog_id: { type: "string", format: "uuid" },
+              revision_number: { type: "integer" },
+              title: { type: "string" },
+              published_date: nullable({
+                type: "string",
+                format: "date-time",
+              }),
+              category: nullable({ type: "string" }),
+              category_id: nullable({ type: "integer" }),
+              authors: { type: "array", items: { type: "string" } },
+              featured_image: nullable(ref("StoredImage")),
+              body: nullable({ type: "string" }),
+              body_source: nullable({ type: "string" }),
+              body_format: { type: "string", enum: BODY_FORMATS },
+              edited_by: nullable({ type: "string" }),
+              note: nullable({ type: "string" }),
+              created_at: { type: "string", format: "date-time" },
+            },
+            []
+          )
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/{id}/revisions/{revision}/restore": {
+    post: writerOnly({
+      tags: ["Revisions"],
+      summary: "Make an older revision the current version",
+      description: "Restoring is recorded as a new revision.",
+      parameters: [blogId, revisionNumber("path")],
+      responses: {
+        200: json(
+          "Restored",
+          object({
+            message: { type: "string" },
+            revision: {
+              type: "integer",
+              description: "Number of the new revision",
+            },
+          })
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+};
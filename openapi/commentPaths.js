@@ -0,0 +1,154 @@
+import { COMMENT_STATUSES } from "../utils/comments.js";
+import {
+  bearer,
+  errors,
+  json,
+  jsonBody,
+  nullable,
+  object,
+  pagination,
+  paginationParams,
+  pathParam,
+  queryParam,
+  ref,
+} from "./components.js";
+
+const MODERATORS = "Admins and editors.";
+
+// Reader comments on posts and the moderation queue
+export const commentPaths = {
+  "/api/blog/{id}/comment": {
+    post: {
+      tags: ["Comments"],
+      summary: "Comment on a public post, or reply to a comment",
+      description:
+        "New comments wait for moderation unless the email address already " +
+        "has an approved comment and COMMENTS_AUTO_APPROVE_KNOWN is on.",
+      parameters: [pathParam("id", undefined, "Post id")],
+      requestBody: jsonBody(
+        object(
+          {
+            name: { type: "string", minLength: 1, maxLength: 100 },
+            email: { type: "string", format: "email" },
+            text: { type: "string", minLength: 1, maxLength: 5000 },
+            parent_id: {
+              type: "string",
+              format: "uuid",
+              description: "Approved comment on the same post to reply to",
+            },
+            website: {
+              type: "string",
+              description: "Honeypot: leave empty",
+            },
+          },
+          ["parent_id", "website"]
+        )
+      ),
+      responses: {
+        201: json(
+          "Added, or waiting for moderation",
+          object({
+            message: { type: "string" },
+            comment: object({
+              id: { type: "string", format: "uuid" },
+              parent_id: nullable({ type: "string", format: "uuid" }),
+              name: { type: "string" },
+              text: { type: "string" },
+              status: { type: "string", enum: COMMENT_STATUSES },
+              timestamp: { type: "string", format: "date-time" },
+            }),
+          })
+        ),
+        ...errors(400, 404, 500),
+      },
+    },
+  },
+  "/api/blog/{id}/comments": {
+    get: {
+      tags: ["Comments"],
+      summary: "Approved comments of a public post",
+      description:
+        "Paginated by thread, newest thread first, with every reply nested " +
+        "below its parent.",
+      parameters: [
+        pathParam("id", undefined, "Post id"),
+        ...paginationParams(10),
+      ],
+      responses: {
+        200: json(
+          "A page of threads",
+          object({
+            comments: { type: "array", items: ref("Comment") },
+            pagination: pagination("totalComments"),
+            count: {
+              type: "integer",
+              description: "Approved comments on the post, replies included",
+            },
+          })
+        ),
+        ...errors(400, 404, 500),
+      },
+    },
+  },
+  "/api/blog/{blogId}/comment/{commentId}": {
+    delete: {
+      tags: ["Comments"],
+      summary: "Delete a comment and its replies",
+      description: MODERATORS,
+      security: bearer,
+      parameters: [pathParam("blogId"), pathParam("commentId")],
+      responses: {
+        200: json("Deleted", ref("Message")),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+  },
+  "/api/blog/comments": {
+    get: {
+      tags: ["Comment moderation"],
+      summary: "Comments by moderation status, oldest first",
+      description: MODERATORS,
+      security: bearer,
+      parameters: [
+        queryParam("status", {
+          type: "string",
+          enum: COMMENT_STATUSES,
+          default: "pending",
+        }),
+        ...paginationParams(20),
+      ],
+      responses: {
+        200: json(
+          "A page of comments",
+          object({
+            comments: { type: "array", items: ref("ModerationComment") },
+            pagination: pagination("totalComments"),
+          })
+        ),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+  "/api/blog/comments/{commentId}/status": {
+    patch: {
+      tags: ["Comment moderation"],
+      summary: "Approve, reject or mark a comment as spam",
+      description: MODERATORS,
+      security: bearer,
+      parameters: [pathParam("commentId")],
+      requestBody: jsonBody(
+        object({ status: { type: "string", enum: COMMENT_STATUSES } })
+      ),
+      responses: {
+        200: json(
+          "Updated",
+          object({
+            message: { type: "string" },
+            status: { type: "string", enum: COMMENT_STATUSES },
+          })
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+  },
+};
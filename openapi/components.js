@@ -0,0 +1,432 @@
+import { BLOG_STATUSES } from "../utils/blogQueries.js";
+import { BODY_FORMATS } from "../utils/content.js";
+import { COMMENT_STATUSES } from "../utils/comments.js";
+import { SUBMISSION_STATUSES } from "../utils/submissions.js";
+import { MAX_PAGE, MAX_PAGE_SIZE } from "../utils/validation.js";
+
+// Builders for the path files. The document is OpenAPI 3.1, so schemas are
+// plain JSON Schema: a nullable field is `type: ["string", "null"]`.
+
+/**
+ * Reference a schema under components.schemas
+ * @param {String} name - Schema name
+ * @returns {Object} { $ref }
+ */
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Allow null as well
+ * @param {Object} schema - Schema with a single type (and maybe an enum), or a $ref
+ * @returns {Object} Nullable schema
+ */
+export const nullable = (schema) => {
+  if (schema.$ref) return { oneOf: [schema, { type: "null" }] };
+
+  return {
+    ...schema,
+    type: [schema.type, "null"],
+    ...(schema.enum && { enum: [...schema.enum, null] }),
+  };
+};
+
+/**
+ * Object schema where every listed property is required unless named in
+ * `optional`
+ * @param {Object} properties - Property schemas
+ * @param {Array<String>} optional - Properties that may be left out
+ * @returns {Object} Object schema
+ */
+export const object = (properties, optional = []) => ({
+  type: "object",
+  required: Object.keys(properties).filter((name) => !optional.includes(name)),
+  properties,
+});
+
+/**
+ * A JSON response
+ * @param {String} description - What the response is
+ * @param {Object} schema - Body schema
+ * @returns {Object} Response object
+ */
+export const json = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+/**
+ * JSON request body
+ * @param {Object} schema - Body schema
+ * @returns {Object} Request body object
+ */
+export const jsonBody = (schema) => ({
+  required: true,
+  content: { "application/json": { schema } },
+});
+
+/**
+ * Shared error responses by status, plus `default` for anything else the
+ * error handler may answer with
+ * @param {...Number} statuses - e.g. 400, 404
+ * @returns {Object} Responses keyed by status
+ */
+export const errors = (...statuses) => ({
+  ...Object.fromEntries(
+    statuses.map((status) => [
+      String(status),
+      { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` },
+    ])
+  ),
+  default: { $ref: "#/components/responses/Error" },
+});
+
+/**
+ * Path parameter
+ * @param {String} name - Parameter name
+ * @param {Object} schema - Parameter schema (default: UUID)
+ * @param {String} description
+ * @returns {Object} Parameter object
+ */
+export const pathParam = (
+  name,
+  schema = { type: "string", format: "uuid" },
+  description
+) => ({ name, in: "path", required: true, schema, description });
+
+/**
+ * Optional query parameter
+ * @param {String} name - Parameter name
+ * @param {Object} schema - Parameter schema
+ * @param {String} description
+ * @returns {Object} Parameter object
+ */
+export const queryParam = (name, schema, description) => ({
+  name,
+  in: "query",
+  schema,
+  description,
+});
+
+/**
+ * ?page= and ?limit= as checked by paginationRules
+ * @param {Number} defaultLimit - Page size when ?limit= is left out
+ * @returns {Array} Parameter objects
+ */
+export const paginationParams = (defaultLimit) => [
+  { $ref: "#/components/parameters/Page" },
+  queryParam(
+    "limit",
+    {
+      type: "integer",
+      minimum: 1,
+      maximum: MAX_PAGE_SIZE,
+      default: defaultLimit,
+    },
+    "Page size"
+  ),
+];
+
+/**
+ * Pagination block of a list response
+ * @param {String} totalName - Name of the total count, e.g. totalBlogs
+ * @returns {Object} Object schema
+ */
+export const pagination = (totalName) =>
+  object({
+    currentPage: { type: "integer" },
+    totalPages: { type: "integer" },
+    [totalName]: { type: "integer" },
+    limit: { type: "integer" },
+    hasNextPage: { type: "boolean" },
+    hasPrevPage: { type: "boolean" },
+  });
+
+// Operations that need a session token; each says which roles it allows
+export const bearer = [{ bearerAuth: [] }];
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict",
+  413: "PayloadTooLarge",
+  415: "UnsupportedMediaType",
+  429: "TooManyRequests",
+  500: "ServerError",
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+const timestamp = { type: "string", format: "date-time" };
+
+// Heading of the table of contents, with the headings nested below it
+const TocEntry = object({
+  id: { type: "string" },
+  text: { type: "string" },
+  level: { type: "integer", minimum: 1, maximum: 6 },
+  children: { type: "array", items: ref("TocEntry") },
+});
+
+const Image = {
+  ...object({
+    public_id: { type: "string" },
+    provider: { type: "string", enum: ["cloudinary", "local", "memory"] },
+    format: { type: "string" },
+    resource_type: { type: "string" },
+    width: nullable({ type: "integer" }),
+    height: nullable({ type: "integer" }),
+    aspect_ratio: nullable({ type: "number" }),
+    placeholder: {
+      ...nullable({ type: "string" }),
+      description: "Tiny blurred WebP data URI to show while loading",
+    },
+    dominant_color: nullable({ type: "string", example: "#c85028" }),
+    variants: {
+      type: "array",
+      items: object({
+        width: { type: "integer" },
+        url: { type: "string" },
+      }),
+    },
+    srcset: { type: "string" },
+  }),
+  description: "Image with everything needed to render it responsively",
+};
+
+// featured_image as stored, before formatting (create responses, revisions)
+const StoredImage = {
+  ...object(
+    {
+      public_id: { type: "string" },
+      provider: { type: "string" },
+      url: { type: "string" },
+      secure_url: { type: "string" },
+      format: { type: "string" },
+      resource_type: { type: "string" },
+      width: { type: "integer" },
+      height: { type: "integer" },
+      created_at: { type: "string" },
+      placeholder: { type: "string" },
+      dominant_color: { type: "string" },
+    },
+    [
+      "provider",
+      "url",
+      "secure_url",
+      "resource_type",
+      "width",
+      "height",
+      "created_at",
+      "placeholder",
+      "dominant_color",
+    ]
+  ),
+  description: "Image metadata as stored by the storage provider",
+};
+
+const Tag = object({
+  id: { type: "integer" },
+  name: { type: "string" },
+  slug: { type: "string" },
+});
+
+const AuthorProfile = object({
+  id: { type: "integer" },
+  name: { type: "string" },
+  slug: nullable({ type: "string" }),
+  avatar: nullable(ref("Image")),
+});
+
+// Fields every blog response has; listings and single posts add their own
+const blogFields = {
+  id: { type: "string", format: "uuid" },
+  slug: nullable({ type: "string" }),
+  title: { type: "string" },
+  published_date: nullable(timestamp),
+  category: nullable({ type: "string" }),
+  category_id: nullable({ type: "integer" }),
+  authors: {
+    type: "array",
+    items: { type: "string" },
+    description: "Author names in byline order",
+  },
+  featured_image: nullable(ref("Image")),
+  excerpt: nullable({ type: "string" }),
+  word_count: { type: "integer" },
+  reading_time: { type: "integer", description: "Minutes" },
+  comments_count: { type: "integer" },
+  created_at: timestamp,
+  updated_at: timestamp,
+  tags: { type: "array", items: ref("Tag") },
+  author_profiles: { type: "array", items: ref("AuthorProfile") },
+};
+
+const BlogSummary = {
+  ...object(
+    {
+      ...blogFields,
+      status: { type: "string", enum: BLOG_STATUSES },
+      publish_at: nullable(timestamp),
+      created_by: nullable({ type: "string" }),
+      relevance: { type: "number" },
+    },
+    ["status", "publish_at", "created_by", "relevance"]
+  ),
+  description:
+    "Post in a listing. Admin listings add status, publish_at and created_by; " +
+    "searches add relevance and cut the excerpt around the match.",
+};
+
+const Blog = {
+  ...object(
+    {
+      ...blogFields,
+      body: nullable({ type: "string", description: "Rendered HTML" }),
+      body_source: nullable({ type: "string" }),
+      body_format: { type: "string", enum: BODY_FORMATS },
+      toc: { type: "array", items: ref("TocEntry") },
+      status: { type: "string", enum: BLOG_STATUSES },
+      publish_at: nullable(timestamp),
+      created_by: nullable({ type: "string" }),
+      search_meta: nullable({ type: "string" }),
+      comments: { type: "array", items: ref("Comment") },
+    },
+    ["body_source", "body_format"]
+  ),
+  description:
+    "Single post with its approved comments. body_source and body_format " +
+    "(the Markdown or HTML as written) are only in previews.",
+};
+
+const Comment = object({
+  id: { type: "string", format: "uuid" },
+  parent_id: nullable({ type: "string", format: "uuid" }),
+  name: { type: "string" },
+  text: { type: "string" },
+  timestamp,
+  replies: { type: "array", items: ref("Comment") },
+});
+
+const ModerationComment = object({
+  id: { type: "string", format: "uuid" },
+  blog_id: { type: "string", format: "uuid" },
+  blog_title: { type: "string" },
+  parent_id: nullable({ type: "string", format: "uuid" }),
+  name: { type: "string" },
+  email: { type: "string" },
+  text: { type: "string" },
+  status: { type: "string", enum: COMMENT_STATUSES },
+  timestamp,
+  moderated_by: nullable({ type: "string" }),
+  moderated_at: nullable(timestamp),
+});
+
+const Submission = object({
+  id: { type: "string", format: "uuid" },
+  name: { type: "string", description: "HTML-escaped" },
+  email: { type: "string" },
+  blog_title: { type: "string", description: "HTML-escaped" },
+  category: { type: "string" },
+  category_id: nullable({ type: "integer" }),
+  blog_content: {
+    type: "string",
+    description: "Google Docs or Drive link",
+  },
+  status: { type: "string", enum: SUBMISSION_STATUSES },
+  submission_time: timestamp,
+  blog_id: nullable({
+    type: "string",
+    format: "uuid",
+    description: "Post created from this submission",
+  }),
+  reviewer_id: nullable({ type: "string", format: "uuid" }),
+  updated_at: timestamp,
+});
+
+const SubmissionNote = object({
+  id: { type: "string", format: "uuid" },
+  note: { type: "string" },
+  created_at: timestamp,
+  author_id: nullable({ type: "string" }),
+  author_name: nullable({ type: "string" }),
+});
+
+const ErrorBody = {
+  ...object(
+    {
+      error: { type: "string", description: "Human-readable message" },
+      code: {
+        type: "string",
+        description: "Machine-readable code, e.g. VALIDATION_FAILED",
+      },
+      details: {
+        description:
+          "Extra data. For VALIDATION_FAILED a list of { field, location, " +
+          "message }. Left out of 500 responses in production.",
+      },
+    },
+    ["details"]
+  ),
+  example: {
+    error: "limit must be a whole number from 1 to 100",
+    code: "VALIDATION_FAILED",
+    details: [
+      {
+        field: "limit",
+        location: "query",
+        message: "limit must be a whole number from 1 to 100",
+      },
+    ],
+  },
+};
+
+const Message = object({ message: { type: "string" } });
+
+export const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: "http",
+      scheme: "bearer",
+      description: "Session token from POST /api/auth/login",
+    },
+  },
+  parameters: {
+    Page: queryParam(
+      "page",
+      { type: "integer", minimum: 1, maximum: MAX_PAGE, default: 1 },
+      "Page number"
+    ),
+  },
+  responses: {
+    BadRequest: errorResponse("Invalid request (VALIDATION_FAILED and others)"),
+    Unauthorized: errorResponse("Missing, invalid or expired token"),
+    Forbidden: errorResponse("The user's role does not allow this"),
+    NotFound: errorResponse("Not found"),
+    Conflict: errorResponse("Conflicts with the current state"),
+    PayloadTooLarge: errorResponse("Upload over 2 MB (FILE_TOO_LARGE)"),
+    UnsupportedMediaType: errorResponse(
+      "Upload is not JPEG, PNG, WebP or AVIF (INVALID_FILE_TYPE)"
+    ),
+    TooManyRequests: errorResponse("Rate limited (RATE_LIMITED)"),
+    ServerError: errorResponse("Unexpected failure (INTERNAL_ERROR)"),
+    Error: errorResponse("Error"),
+  },
+  schemas: {
+    Error: ErrorBody,
+    Message,
+    Image,
+    StoredImage,
+    TocEntry,
+    Tag,
+    AuthorProfile,
+    BlogSummary,
+    Blog,
+    Comment,
+    ModerationComment,
+    Submission,
+    SubmissionNote,
+  },
+};
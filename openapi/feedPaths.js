@@ -0,0 +1,85 @@
+import { errors, object, pathParam, queryParam } from "./components.js";
+
+const format = pathParam(
+  "format",
+  { type: "string", enum: ["rss", "atom", "json"] },
+  "RSS 2.0, Atom or JSON Feed 1.1"
+);
+
+const feedParams = [
+  queryParam(
+    "full",
+    { type: "boolean", default: false },
+    "Whole bodies instead of excerpts"
+  ),
+  queryParam("limit", {
+    type: "integer",
+    minimum: 1,
+    maximum: 50,
+    default: 20,
+  }),
+];
+
+const jsonFeed = object({
+  version: { const: "https://jsonfeed.org/version/1.1" },
+  title: { type: "string" },
+  description: { type: "string" },
+  home_page_url: { type: "string" },
+  feed_url: { type: "string" },
+  items: {
+    type: "array",
+    items: object(
+      {
+        id: { type: "string" },
+        url: { type: "string" },
+        title: { type: "string" },
+        summary: { type: "string" },
+        content_html: { type: "string" },
+        content_text: { type: "string" },
+        image: { type: "string" },
+        date_published: { type: "string", format: "date-time" },
+        date_modified: { type: "string", format: "date-time" },
+        authors: { type: "array", items: object({ name: { type: "string" } }) },
+        tags: { type: "array", items: { type: "string" } },
+      },
+      ["content_html", "content_text", "image", "tags"]
+    ),
+  },
+});
+
+const feed = (summary, parameters) => ({
+  get: {
+    tags: ["Feeds"],
+    summary,
+    description:
+      "Responses carry ETag and Last-Modified; conditional requests get a " +
+      "304 when nothing changed.",
+    parameters: [...parameters, format, ...feedParams],
+    responses: {
+      200: {
+        description: "The feed",
+        content: {
+          "application/rss+xml": { schema: { type: "string" } },
+          "application/atom+xml": { schema: { type: "string" } },
+          "application/feed+json": { schema: jsonFeed },
+        },
+      },
+      304: { description: "Not modified" },
+      ...errors(400, 404, 500),
+    },
+  },
+});
+
+// Feeds of the latest public posts
+export const feedPaths = {
+  "/api/blog/feed.{format}": feed("Feed of the latest posts", [
+    queryParam("category", { type: "string" }, "Category slug or name"),
+    queryParam("author", { type: "string" }, "Author slug or name"),
+  ]),
+  "/api/blog/category/{category}/feed.{format}": feed("Feed of one category", [
+    pathParam("category", { type: "string" }, "Category slug or name"),
+  ]),
+  "/api/blog/author/{author}/feed.{format}": feed("Feed of one author", [
+    pathParam("author", { type: "string" }, "Author slug or name"),
+  ]),
+};
@@ -0,0 +1,38 @@
+import { components } from "./components.js";
+import { blogPaths } from "./blogPaths.js";
+import { commentPaths } from "./commentPaths.js";
+import { feedPaths } from "./feedPaths.js";
+import { submissionPaths } from "./submissionPaths.js";
+
+// OpenAPI 3.1 description of /api/blog and /api/blog/submission, served at
+// /api/docs. test/openapi.test.js fails when a route under those paths is
+// missing here, and the integration tests check every response they get
+// against it.
+const openApiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "CAMBLOG API",
+    version: "1.0.0",
+    description:
+      "Posts, comments, feeds and reader submissions. Errors always have " +
+      "the shape `{ error, code, details? }`; see the Error schema.",
+  },
+  tags: [
+    { name: "Posts" },
+    { name: "Uploads" },
+    { name: "Revisions" },
+    { name: "Comments" },
+    { name: "Comment moderation" },
+    { name: "Feeds" },
+    { name: "Submissions" },
+  ],
+  paths: {
+    ...blogPaths,
+    ...commentPaths,
+    ...feedPaths,
+    ...submissionPaths,
+  },
+  components,
+};
+
+export default openApiDocument;
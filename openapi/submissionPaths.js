@@ -0,0 +1,212 @@
+import { SUBMISSION_STATUSES } from "../utils/submissions.js";
+import {
+  bearer,
+  errors,
+  json,
+  jsonBody,
+  nullable,
+  object,
+  pagination,
+  paginationParams,
+  pathParam,
+  queryParam,
+  ref,
+} from "./components.js";
+
+const submissionId = pathParam("id", undefined, "Submission id");
+
+const status = { type: "string", enum: SUBMISSION_STATUSES };
+
+// Everything but sending a submission is for admins and editors
+const moderatorsOnly = (operation) => ({
+  ...operation,
+  tags: ["Submissions"],
+  security: bearer,
+  description: [operation.description, "Admins and editors."]
+    .filter(Boolean)
+    .join("\n\n"),
+});
+
+// /api/blog/submission: posts pitched by readers
+export const submissionPaths = {
+  "/api/blog/submission": {
+    post: {
+      tags: ["Submissions"],
+      summary: "Pitch a post",
+      description:
+        "Limited to 10 submissions a minute per client. The sender gets a " +
+        "confirmation email.",
+      requestBody: jsonBody(
+        object({
+          name: { type: "string", minLength: 2, maxLength: 100 },
+          email: { type: "string", format: "email" },
+          blog_title: { type: "string", minLength: 3, maxLength: 255 },
+          category: { type: "string", description: "Category name or slug" },
+          blog_content: {
+            type: "string",
+            minLength: 10,
+            maxLength: 2000,
+            description: "Google Docs or Drive link",
+          },
+        })
+      ),
+      responses: {
+        201: json(
+          "Received",
+          object({
+            message: { type: "string" },
+            submissionId: { type: "string", format: "uuid" },
+          })
+        ),
+        ...errors(400, 429, 500),
+      },
+    },
+    get: moderatorsOnly({
+      summary: "List submissions, newest first",
+      parameters: [
+        queryParam("status", status),
+        queryParam(
+          "reviewer",
+          { type: "string" },
+          'Reviewer\'s user id, or "me"'
+        ),
+        ...paginationParams(10),
+      ],
+      responses: {
+        200: json(
+          "A page of submissions",
+          object({
+            submissions: { type: "array", items: ref("Submission") },
+            pagination: pagination("totalSubmissions"),
+          })
+        ),
+        ...errors(400, 401, 403, 500),
+      },
+    }),
+  },
+  "/api/blog/submission/{id}": {
+    get: moderatorsOnly({
+      summary: "Get a submission with its reviewer, notes and history",
+      parameters: [submissionId],
+      responses: {
+        200: json("The submission", {
+          allOf: [
+            ref("Submission"),
+            object({
+              reviewer_name: nullable({ type: "string" }),
+              allowed_transitions: { type: "array", items: status },
+              history: {
+                type: "array",
+                items: object({
+                  id: { type: "string", format: "uuid" },
+                  from_status: nullable(status),
+                  to_status: status,
+                  comment: nullable({ type: "string" }),
+                  created_at: { type: "string", format: "date-time" },
+                  changed_by: nullable({ type: "string" }),
+                  changed_by_name: nullable({ type: "string" }),
+                }),
+              },
+              notes: { type: "array", items: ref("SubmissionNote") },
+            }),
+          ],
+        }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+    delete: moderatorsOnly({
+      summary: "Delete a submission",
+      parameters: [submissionId],
+      responses: {
+        200: json("Deleted", ref("Message")),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/submission/{id}/status": {
+    patch: moderatorsOnly({
+      summary: "Move a submission to another status",
+      description:
+        "Only moves listed in the submission's `allowed_transitions` are " +
+        "accepted; others get a 409 INVALID_TRANSITION. The sender is " +
+        "emailed, with the comment if there is one.",
+      parameters: [submissionId],
+      requestBody: jsonBody(
+        object(
+          { status, comment: nullable({ type: "string", maxLength: 500 }) },
+          ["comment"]
+        )
+      ),
+      responses: {
+        200: json("Updated", object({ message: { type: "string" }, status })),
+        ...errors(400, 401, 403, 404, 409, 500),
+      },
+    }),
+  },
+  "/api/blog/submission/{id}/reviewer": {
+    patch: moderatorsOnly({
+      summary: "Assign or clear the reviewer",
+      parameters: [submissionId],
+      requestBody: jsonBody(
+        object(
+          {
+            reviewer_id: nullable({
+              type: "string",
+              format: "uuid",
+              description: "Active admin or editor; null clears it",
+            }),
+          },
+          ["reviewer_id"]
+        )
+      ),
+      responses: {
+        200: json(
+          "Updated",
+          object({
+            message: { type: "string" },
+            reviewer_id: nullable({ type: "string", format: "uuid" }),
+          })
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/submission/{id}/notes": {
+    post: moderatorsOnly({
+      summary: "Add an internal note",
+      parameters: [submissionId],
+      requestBody: jsonBody(
+        object({ note: { type: "string", minLength: 1, maxLength: 5000 } })
+      ),
+      responses: {
+        201: json(
+          "Added",
+          object({
+            message: { type: "string" },
+            note: ref("SubmissionNote"),
+          })
+        ),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    }),
+  },
+  "/api/blog/submission/{id}/convert": {
+    post: moderatorsOnly({
+      summary: "Create a draft post from an accepted submission",
+      description:
+        "409 ALREADY_CONVERTED (with `details.blogId`) when a post was " +
+        "already created from it.",
+      parameters: [submissionId],
+      responses: {
+        201: json(
+          "Draft created",
+          object({
+            message: { type: "string" },
+            blogId: { type: "string", format: "uuid" },
+          })
+        ),
+        ...errors(400, 401, 403, 404, 409, 500),
+      },
+    }),
+  },
+};
@@ -0,0 +1,224 @@
+import { Router } from "express";
+const router = Router();
+import { body } from "express-validator";
+import rateLimit from "express-rate-limit";
+import db from "../config/db.js";
+import { v4 as uuidv4 } from "uuid";
+import dayjs from "dayjs";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import {
+  ROLES,
+  SESSION_TTL_HOURS,
+  hashPassword,
+  verifyPassword,
+  signSessionToken,
+} from "../utils/auth.js";
+import { errorBody, sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import { booleanField, oneOf, uuidParam } from "../utils/validation.js";
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: errorBody(429, "Too many login attempts, please try again later."),
+});
+
+const USER_FIELDS = "id, email, name, role, is_active, created_at";
+
+// POST /api/auth/login
+router.post(
+  "/login",
+  loginLimiter,
+  validate(
+    body("email", "email must be a valid email address")
+      .trim()
+      .isEmail()
+      .toLowerCase(),
+    body("password", "password is required").isString().notEmpty()
+  ),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const [users] = await db.query(
+        "SELECT id, email, name, role, password_hash FROM users WHERE email = ? AND is_active = 1",
+        [email]
+      );
+
+      const user = users[0];
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        return sendError(res, 401, "Invalid email or password", {
+          code: "INVALID_CREDENTIALS",
+        });
+      }
+
+      const sessionId = uuidv4();
+      const expiresAt = dayjs().add(SESSION_TTL_HOURS, "hour");
+
+      await db.query(
+        "INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?)",
+        [sessionId, user.id, expiresAt.toDate()]
+      );
+
+      res.json({
+        token: signSessionToken(sessionId),
+        expiresAt: expiresAt.toISOString(),
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      console.error("Error logging in:", error);
+      sendError(res, 500, "Failed to log in");
+    }
+  }
+);
+
+// POST /api/auth/logout
+router.post("/logout", requireAuth, async (req, res) => {
+  try {
+    await db.query("DELETE FROM sessions WHERE id = ?", [req.user.session_id]);
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    sendError(res, 500, "Failed to log out");
+  }
+});
+
+// Get the current user
+router.get("/me", requireAuth, (req, res) => {
+  const { id, email, name, role } = req.user;
+  res.json({ user: { id, email, name, role } });
+});
+
+// Get all users (admin only)
+router.get("/users", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const [users] = await db.query(
+      `SELECT ${USER_FIELDS} FROM users ORDER BY created_at DESC`
+    );
+    res.json({ users });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    sendError(res, 500, "Failed to fetch users");
+  }
+});
+
+// Create a user account (admin only)
+router.post(
+  "/users",
+  requireRole(ROLES.ADMIN),
+  validate(
+    body("email", "email must be a valid email address")
+      .trim()
+      .isEmail()
+      .toLowerCase(),
+    body("name", "name must be 2 to 100 characters")
+      .trim()
+      .isLength({ min: 2, max: 100 }),
+    body("password", "password must be 8 to 200 characters")
+      .isString()
+      .isLength({ min: 8, max: 200 }),
+    oneOf(body, "role", Object.values(ROLES))
+  ),
+  async (req, res) => {
+    try {
+      const { email, name, password, role } = req.body;
+
+      const [existing] = await db.query(
+        "SELECT id FROM users WHERE email = ?",
+        [email]
+      );
+      if (existing.length > 0) {
+        return sendError(res, 409, "Email is already registered");
+      }
+
+      const id = uuidv4();
+      await db.query(
+        "INSERT INTO users (id, email, name, password_hash, role) VALUES (?, ?, ?, ?, ?)",
+        [id, email, name, await hashPassword(password), role]
+      );
+
+      res.status(201).json({
+        message: "User created successfully",
+        user: { id, email, name, role },
+      });
+    } catch (error) {
+      console.error("Error creating user:", error);
+      sendError(res, 500, "Failed to create user");
+    }
+  }
+);
+
+// Update a user's role, status or password (admin only)
+router.patch(
+  "/users/:id",
+  requireRole(ROLES.ADMIN),
+  validate(
+    uuidParam(),
+    body("name", "name must be 2 to 100 characters")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 }),
+    body("password", "password must be 8 to 200 characters")
+      .optional()
+      .isString()
+      .isLength({ min: 8, max: 200 }),
+    oneOf(body, "role", Object.values(ROLES)).optional(),
+    booleanField("is_active")
+  ),
+  async (req, res) => {
+    try {
+      const { name, password, role, is_active } = req.body;
+      const updates = [];
+      const params = [];
+
+      if (name !== undefined) {
+        updates.push("name = ?");
+        params.push(name);
+      }
+      if (role !== undefined) {
+        updates.push("role = ?");
+        params.push(role);
+      }
+      if (is_active !== undefined) {
+        updates.push("is_active = ?");
+        params.push(is_active ? 1 : 0);
+      }
+      if (password !== undefined) {
+        updates.push("password_hash = ?");
+        params.push(await hashPassword(password));
+      }
+
+      if (updates.length === 0) {
+        return sendError(res, 400, "No fields to update");
+      }
+
+      const [result] = await db.query(
+        `UPDATE users SET ${updates.join(", ")} WHERE id = ?`,
+        [...params, req.params.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return sendError(res, 404, "User not found");
+      }
+
+      // Sign the user out everywhere when access or credentials change
+      if (password !== undefined || is_active === false) {
+        await db.query("DELETE FROM sessions WHERE user_id = ?", [
+          req.params.id,
+        ]);
+      }
+
+      res.json({ message: "User updated successfully" });
+    } catch (error) {
+      console.error("Error updating user:", error);
+      sendError(res, 500, "Failed to update user");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,350 @@
+import { Router } from "express";
+const router = Router();
+import { body } from "express-validator";
+import db, { withTransaction } from "../config/db.js";
+import upload, { verifyImage } from "../middleware/upload.js";
+import storage from "../config/storage.js";
+import { getImagePlaceholder, processImage } from "../utils/imageProcessor.js";
+import { requireRole } from "../middleware/auth.js";
+import { MODERATOR_ROLES, WRITER_ROLES } from "../utils/auth.js";
+import { PUBLIC_BLOG_CONDITION, queryBlogs } from "../utils/blogQueries.js";
+import {
+  formatAuthor,
+  generateAuthorSlug,
+  parseSocialLinks,
+  syncAuthorName,
+} from "../utils/authors.js";
+import { recordImage, removeImage } from "../utils/images.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import {
+  booleanField,
+  getPagination,
+  intParam,
+  paginationRules,
+} from "../utils/validation.js";
+
+const requireWriter = requireRole(...WRITER_ROLES);
+const requireModerator = requireRole(...MODERATOR_ROLES);
+
+const AUTHOR_FIELDS =
+  "id, name, slug, bio, avatar, social_links, created_at, updated_at";
+
+// Number of public posts listing the author
+const POST_COUNT_FIELD = `(
+  SELECT COUNT(*) FROM blog_authors ba
+  JOIN blogs ON blogs.id = ba.blog_id
+  WHERE ba.author_id = authors.id AND ${PUBLIC_BLOG_CONDITION}
+) AS post_count`;
+
+const authorValidators = (required) => [
+  (required ? body("name") : body("name").optional())
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("name must be 1 to 100 characters"),
+  body("slug", "slug must be 1 to 100 characters")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("bio", "bio must be at most 5000 characters")
+    .optional({ values: "null" })
+    .trim()
+    .isLength({ max: 5000 }),
+];
+
+// Crop and store an uploaded avatar, returning what goes in authors.avatar
+const storeAvatar = async (file, uploadedBy) => {
+  const squareBuffer = await processImage(file.buffer, "avatar");
+  const [storedImage, placeholder] = await Promise.all([
+    storage.upload(squareBuffer, {
+      folder: "authors/avatars",
+      overwrite: false,
+    }),
+    getImagePlaceholder(squareBuffer),
+  ]);
+  await recordImage(db, storedImage, { kind: "avatar", uploadedBy });
+  return { ...placeholder, ...storedImage };
+};
+
+// Get all authors with their public post counts
+router.get(
+  "/",
+  validate(paginationRules({ defaultLimit: 20 })),
+  async (req, res) => {
+    try {
+      const { page, limit, offset } = getPagination(req);
+
+      const [countResult] = await db.query(
+        "SELECT COUNT(*) AS total FROM authors"
+      );
+      const totalAuthors = countResult[0].total;
+      const totalPages = Math.ceil(totalAuthors / limit);
+
+      const [authors] = await db.query(
+        `SELECT ${AUTHOR_FIELDS}, ${POST_COUNT_FIELD}
+       FROM authors
+       ORDER BY name ASC
+       LIMIT ? OFFSET ?`,
+        [limit, offset]
+      );
+
+      res.json({
+        authors: authors.map(formatAuthor),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalAuthors,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching authors:", error);
+      sendError(res, 500, "Failed to fetch authors");
+    }
+  }
+);
+
+// Get an author's profile with a page of their public posts
+router.get(
+  "/:slug",
+  validate(paginationRules({ defaultLimit: 5 })),
+  async (req, res) => {
+    try {
+      const { page, limit, offset } = getPagination(req);
+
+      const [authors] = await db.query(
+        `SELECT ${AUTHOR_FIELDS} FROM authors WHERE slug = ?`,
+        [req.params.slug]
+      );
+
+      if (authors.length === 0) {
+        return sendError(res, 404, "Author not found");
+      }
+
+      const { blogs, total: totalBlogs } = await queryBlogs({
+        authorId: authors[0].id,
+        sortBy: "latest",
+        limit,
+        offset,
+      });
+      const totalPages = Math.ceil(totalBlogs / limit);
+
+      res.json({
+        author: { ...formatAuthor(authors[0]), post_count: totalBlogs },
+        blogs,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalBlogs,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching author:", error);
+      sendError(res, 500, "Failed to fetch author");
+    }
+  }
+);
+
+// Create an author profile (optional "avatar" image upload)
+router.post(
+  "/",
+  requireWriter,
+  upload.single("avatar"),
+  verifyImage("avatar"),
+  validate(authorValidators(true)),
+  async (req, res) => {
+    try {
+      const { name, bio = null } = req.body;
+
+      let socialLinks;
+      try {
+        socialLinks = parseSocialLinks(req.body.social_links) ?? null;
+      } catch (e) {
+        return sendError(res, 400, e.message);
+      }
+
+      let avatar = null;
+      if (req.file) {
+        try {
+          avatar = await storeAvatar(req.file, req.user.id);
+        } catch (imageError) {
+          console.error("Avatar upload error:", imageError);
+          return sendError(res, 500, "Failed to upload avatar");
+        }
+      }
+
+      const slug = await generateAuthorSlug(db, req.body.slug || name);
+      const [result] = await db.query(
+        "INSERT INTO authors (name, slug, bio, avatar, social_links) VALUES (?, ?, ?, ?, ?)",
+        [
+          name,
+          slug,
+          bio,
+          avatar ? JSON.stringify(avatar) : null,
+          socialLinks ? JSON.stringify(socialLinks) : null,
+        ]
+      );
+
+      res.status(201).json({
+        message: "Author created successfully",
+        author: formatAuthor({
+          id: result.insertId,
+          name,
+          slug,
+          bio,
+          avatar,
+          social_links: socialLinks,
+        }),
+      });
+    } catch (error) {
+      console.error("Error creating author:", error);
+      sendError(res, 500, "Failed to create author");
+    }
+  }
+);
+
+// Update an author profile. Send a new "avatar" file to replace the avatar,
+// or remove_avatar=true to drop it.
+router.put(
+  "/:id",
+  requireModerator,
+  upload.single("avatar"),
+  verifyImage("avatar"),
+  validate(intParam(), authorValidators(false), booleanField("remove_avatar")),
+  async (req, res) => {
+    try {
+      const { name, slug, bio, remove_avatar } = req.body;
+      const authorId = req.params.id;
+
+      let socialLinks;
+      try {
+        socialLinks = parseSocialLinks(req.body.social_links);
+      } catch (e) {
+        return sendError(res, 400, e.message);
+      }
+
+      const [authors] = await db.query(
+        "SELECT id, name, avatar FROM authors WHERE id = ?",
+        [authorId]
+      );
+      if (authors.length === 0) {
+        return sendError(res, 404, "Author not found");
+      }
+      const current = formatAuthor(authors[0]);
+
+      const updates = [];
+      const params = [];
+
+      if (name !== undefined) {
+        updates.push("name = ?");
+        params.push(name);
+      }
+      if (slug !== undefined) {
+        updates.push("slug = ?");
+        params.push(await generateAuthorSlug(db, slug, authorId));
+      }
+      if (bio !== undefined) {
+        updates.push("bio = ?");
+        params.push(bio);
+      }
+      if (socialLinks !== undefined) {
+        updates.push("social_links = ?");
+        params.push(socialLinks ? JSON.stringify(socialLinks) : null);
+      }
+
+      let avatar;
+      if (req.file) {
+        try {
+          avatar = await storeAvatar(req.file, req.user.id);
+        } catch (imageError) {
+          console.error("Avatar upload error:", imageError);
+          return sendError(res, 500, "Failed to upload avatar");
+        }
+        updates.push("avatar = ?");
+        params.push(JSON.stringify(avatar));
+      } else if (remove_avatar) {
+        updates.push("avatar = NULL");
+      }
+
+      if (updates.length === 0) {
+        return sendError(res, 400, "No fields to update");
+      }
+
+      await withTransaction(async (connection) => {
+        await connection.query(
+          `UPDATE authors SET ${updates.join(", ")} WHERE id = ?`,
+          [...params, authorId]
+        );
+
+        // Posts keep a copy of their author names for search and revisions
+        if (name !== undefined && name !== current.name) {
+          await syncAuthorName(connection, authorId);
+        }
+      });
+
+      // The old avatar is unused once the row points elsewhere
+      if ((req.file || remove_avatar) && current.avatar) {
+        await removeImage(current.avatar).catch((error) =>
+          console.error("Failed to delete old avatar:", error)
+        );
+      }
+
+      res.json({ message: "Author updated successfully" });
+    } catch (error) {
+      console.error("Error updating author:", error);
+      sendError(res, 500, "Failed to update author");
+    }
+  }
+);
+
+// Delete an author who is not credited on any post
+router.delete(
+  "/:id",
+  requireModerator,
+  validate(intParam()),
+  async (req, res) => {
+    try {
+      const [usage] = await db.query(
+        "SELECT COUNT(*) AS total FROM blog_authors WHERE author_id = ?",
+        [req.params.id]
+      );
+      if (usage[0].total > 0) {
+        return sendError(
+          res,
+          409,
+          "Author is still credited on posts; update them first",
+          { code: "AUTHOR_IN_USE", details: { postCount: usage[0].total } }
+        );
+      }
+
+      const [authors] = await db.query(
+        "SELECT avatar FROM authors WHERE id = ?",
+        [req.params.id]
+      );
+      if (authors.length === 0) {
+        return sendError(res, 404, "Author not found");
+      }
+
+      await db.query("DELETE FROM authors WHERE id = ?", [req.params.id]);
+
+      const { avatar } = formatAuthor(authors[0]);
+      if (avatar) {
+        await removeImage(avatar).catch((error) =>
+          console.error("Failed to delete avatar:", error)
+        );
+      }
+
+      res.json({ message: "Author deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting author:", error);
+      sendError(res, 500, "Failed to delete author");
+    }
+  }
+);
+
+export default router;
@@ -1,153 +1,206 @@
 import { Router } from "express";
-import db from "../config/db.js";
+import db, { withTransaction } from "../config/db.js";
 import { v4 as uuidv4 } from "uuid";
-import upload from "../middleware/upload.js";
+import upload, { verifyImage } from "../middleware/upload.js";
+import storage from "../config/storage.js";
+import { getImagePlaceholder, processImage } from "../utils/imageProcessor.js";
+import { authorizeBlogAccess, requireRole } from "../middleware/auth.js";
+import { formatBlog, formatFeaturedImage } from "../utils/blogFormatter.js";
+import { recordRevision } from "../utils/revisions.js";
+import { buildSearchMeta } from "../utils/search.js";
+import { BODY_FORMATS, buildBodyColumns } from "../utils/content.js";
+import { generateUniqueSlug, updateBlogSlug } from "../utils/slugs.js";
 import {
-  uploadToCloudinary,
-  uploadToCloudinaryBodyImage,
-} from "../config/cloudinary.js";
-import { compressImage, getImageMetadata } from "../utils/imageProcessor.js";
+  attachAuthorProfiles,
+  resolveBlogAuthors,
+  setBlogAuthors,
+} from "../utils/authors.js";
+import {
+  attachTags,
+  parseTagList,
+  resolveCategory,
+  setBlogTags,
+} from "../utils/taxonomy.js";
+import { markSubmissionsPublished } from "../utils/submissions.js";
+import { queueEmail } from "../utils/mailer.js";
+import {
+  recordImage,
+  releaseImages,
+  removeImage,
+  syncBlogImages,
+} from "../utils/images.js";
+import revisionRoutes from "./revisionRoute.js";
+import {
+  BLOG_SORT_OPTIONS,
+  BLOG_STATUSES,
+  PUBLIC_BLOG_CONDITION,
+  queryBlogs,
+} from "../utils/blogQueries.js";
+import {
+  PUBLIC_COMMENT_FIELDS,
+  buildCommentTree,
+  getInitialCommentStatus,
+  refreshCommentsCount,
+} from "../utils/comments.js";
+import { MODERATOR_ROLES, WRITER_ROLES } from "../utils/auth.js";
 import dotenv from "dotenv";
+import { sendError } from "../utils/errors.js";
+import { body, query } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import {
+  booleanField,
+  getPagination,
+  getQuery,
+  oneOf,
+  paginationRules,
+  uuidParam,
+} from "../utils/validation.js";
 
 dotenv.config();
 
 const router = Router();
 
+const requireWriter = requireRole(...WRITER_ROLES);
+const requireModerator = requireRole(...MODERATOR_ROLES);
+
+// ?tags=a,b or ?tags=a&tags=b -> ["a", "b"]
+const parseTagFilter = (value) =>
+  [value || []]
+    .flat()
+    .flatMap((tags) => String(tags).split(","))
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+// Filters shared by the public and admin listings
+const blogListValidators = [
+  query("category", "category must be at most 100 characters")
+    .optional()
+    .isString()
+    .isLength({ max: 100 }),
+  oneOf(query, "tagMatch", ["all", "any"]).optional({ values: "falsy" }),
+  query("search", "search must be at most 200 characters")
+    .optional()
+    .isString()
+    .isLength({ max: 200 }),
+  oneOf(query, "sortBy", BLOG_SORT_OPTIONS).optional({ values: "falsy" }),
+];
+
 // Get all blogs
-router.get("/", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 5;
-    const offset = (page - 1) * limit;
-    const category = req.query.category;
-    const search = req.query.search;
-    const sortBy = req.query.sortBy || "latest";
-
-    // Build WHERE clause for filters
-    let whereConditions = [];
-    let queryParams = [];
-
-    // Category filter
-    if (category && category !== "All") {
-      whereConditions.push("category = ?");
-      queryParams.push(category);
-    }
+router.get(
+  "/",
+  validate(paginationRules({ defaultLimit: 5 }), blogListValidators),
+  async (req, res) => {
+    try {
+      const { page, limit, offset } = getPagination(req);
+      const { category, search, tagMatch = "all" } = getQuery(req);
+      const tags = parseTagFilter(req.query.tags);
+      const sortBy = getQuery(req).sortBy || (search ? "relevance" : "latest");
 
-    // Search filter (searches in title, body, and authors)
-    if (search && search.trim()) {
-      whereConditions.push("(title LIKE ? OR body LIKE ?)");
-      const searchPattern = `%${search.trim()}%`;
-      queryParams.push(searchPattern, searchPattern);
+      const { blogs, total: totalBlogs } = await queryBlogs({
+        category,
+        tags,
+        tagMatch,
+        search,
+        sortBy,
+        limit,
+        offset,
+      });
+      const totalPages = Math.ceil(totalBlogs / limit);
+
+      res.json({
+        blogs,
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalBlogs: totalBlogs,
+          limit: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        filters: {
+          category: category || null,
+          tags,
+          tagMatch,
+          search: search || null,
+          sortBy: sortBy,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching blogs:", error);
+      sendError(res, 500, "Failed to fetch blogs");
     }
+  }
+);
+
+// Get blogs in every status (authors only see their own)
+router.get(
+  "/admin",
+  requireWriter,
+  validate(
+    paginationRules({ defaultLimit: 20 }),
+    blogListValidators,
+    oneOf(query, "status", BLOG_STATUSES).optional({ values: "falsy" })
+  ),
+  async (req, res) => {
+    try {
+      const { page, limit, offset } = getPagination(req);
+      const { category, search, status, tagMatch = "all" } = getQuery(req);
+      const tags = parseTagFilter(req.query.tags);
+      const sortBy = getQuery(req).sortBy || (search ? "relevance" : "latest");
 
-    const whereClause =
-      whereConditions.length > 0
-        ? `WHERE ${whereConditions.join(" AND ")}`
-        : "";
-
-    // Get total count with filters
-    const countQuery = `SELECT COUNT(*) as total FROM blogs ${whereClause}`;
-    const [countResult] = await db.query(countQuery, queryParams);
-    const totalBlogs = countResult[0].total;
-    const totalPages = Math.ceil(totalBlogs / limit);
-
-    // Determine sort order
-    let orderBy;
-    switch (sortBy) {
-      case "oldest":
-        orderBy = "ORDER BY published_date ASC, created_at ASC";
-        break;
-      case "popular":
-        orderBy = "ORDER BY comments_count DESC, published_date DESC";
-        break;
-      case "latest":
-      default:
-        orderBy = "ORDER BY published_date DESC, created_at DESC";
-        break;
+      const { blogs, total: totalBlogs } = await queryBlogs({
+        category,
+        tags,
+        tagMatch,
+        search,
+        sortBy,
+        status,
+        publicOnly: false,
+        createdBy: MODERATOR_ROLES.includes(req.user.role)
+          ? undefined
+          : req.user.id,
+        limit,
+        offset,
+      });
+      const totalPages = Math.ceil(totalBlogs / limit);
+
+      res.json({
+        blogs,
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalBlogs: totalBlogs,
+          limit: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        filters: {
+          category: category || null,
+          tags,
+          tagMatch,
+          search: search || null,
+          status: status || null,
+          sortBy: sortBy,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching admin blogs:", error);
+      sendError(res, 500, "Failed to fetch blogs");
     }
-
-    // Get paginated blogs with filters and sorting
-    const blogsQuery = `
-      SELECT id, title, published_date, category, authors, featured_image, 
-             comments_count, SUBSTRING(body, 1, 480) as excerpt, created_at 
-      FROM blogs 
-      ${whereClause}
-      ${orderBy}
-      LIMIT ? OFFSET ?
-    `;
-
-    const [blogs] = await db.query(blogsQuery, [...queryParams, limit, offset]);
-
-    // Parse JSON fields and optimize featured_image for frontend
-    const blogsWithParsedData = blogs.map((blog) => {
-      // Parse authors
-      let authors;
-      try {
-        authors =
-          typeof blog.authors === "string"
-            ? JSON.parse(blog.authors)
-            : blog.authors;
-      } catch (e) {
-        authors = [blog.authors];
-      }
-
-      // Parse and optimize featured_image (Cloudinary metadata)
-      let featuredImage = null;
-      if (blog.featured_image) {
-        try {
-          const imageData =
-            typeof blog.featured_image === "string"
-              ? JSON.parse(blog.featured_image)
-              : blog.featured_image;
-
-          // Send only essential metadata to frontend
-          featuredImage = {
-            public_id: imageData.public_id,
-            format: imageData.format,
-            resource_type: imageData.resource_type || "image",
-          };
-        } catch (e) {
-          console.error("Error parsing featured_image:", e);
-          featuredImage = null;
-        }
-      }
-
-      return {
-        ...blog,
-        authors: authors,
-        featured_image: featuredImage,
-      };
-    });
-
-    res.json({
-      blogs: blogsWithParsedData,
-      pagination: {
-        currentPage: page,
-        totalPages: totalPages,
-        totalBlogs: totalBlogs,
-        limit: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-      filters: {
-        category: category || null,
-        search: search || null,
-        sortBy: sortBy,
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching blogs:", error);
-    res.status(500).json({ error: "Failed to fetch blogs" });
   }
-});
+);
 
 router.get("/categories", async (req, res) => {
   try {
+    // Managed categories that have at least one public post, in display order
     const [categories] = await db.query(
-      `SELECT DISTINCT category 
-       FROM blogs 
-       WHERE category IS NOT NULL 
-       ORDER BY category ASC`
+      `SELECT c.name AS category
+       FROM categories c
+       WHERE EXISTS (
+         SELECT 1 FROM blogs
+         WHERE category_id = c.id AND ${PUBLIC_BLOG_CONDITION}
+       )
+       ORDER BY c.sort_order ASC, c.name ASC`
     );
 
     res.json({
@@ -155,439 +208,825 @@ router.get("/categories", async (req, res) => {
     });
   } catch (error) {
     console.error("Error fetching categories:", error);
-    res.status(500).json({ error: "Failed to fetch categories" });
+    sendError(res, 500, "Failed to fetch categories");
   }
 });
 
-// Get single blog by ID (with comments)
-router.get("/:id", async (req, res) => {
-  try {
-    const [blogs] = await db.query("SELECT * FROM blogs WHERE id = ?", [
-      req.params.id,
-    ]);
+// status and publish_at; only status is required when changing it directly
+const lifecycleValidators = ({ statusRequired }) => [
+  statusRequired
+    ? oneOf(body, "status", BLOG_STATUSES)
+    : oneOf(body, "status", BLOG_STATUSES).optional({ values: "falsy" }),
+  body("publish_at", "publish_at must be an ISO 8601 date")
+    .optional({ values: "falsy" })
+    .isISO8601(),
+  body("publish_at", "publish_at is required for scheduled posts")
+    .if(body("status").equals("scheduled"))
+    .notEmpty(),
+];
+
+// Work out the publish time for a validated status
+const resolveLifecycle = (status, publishAt) => {
+  const date = publishAt ? new Date(publishAt) : null;
+
+  if (status === "published") {
+    return { status, publishAt: date || new Date() };
+  }
 
-    if (blogs.length === 0) {
-      return res.status(404).json({ error: "Blog not found" });
-    }
+  return { status, publishAt: date };
+};
+
+/**
+ * Rules for the editable fields of a post. New posts need title,
+ * published_date, category, body and authors (or author_ids); updates
+ * check whichever fields were sent.
+ * @param {Object} options - { partial: true for updates }
+ * @returns {Array} Validation chains
+ */
+const blogFieldValidators = ({ partial = false } = {}) => {
+  const field = (name, message) =>
+    partial ? body(name, message).optional() : body(name, message);
+
+  return [
+    field("title", "title must be 1 to 255 characters")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 }),
+    field(
+      "published_date",
+      "published_date must be a date (YYYY-MM-DD)"
+    ).isISO8601(),
+    field("category", "category is required").isString().trim().notEmpty(),
+    field("body", "body cannot be empty")
+      .isString()
+      .custom((value) => value.trim() !== ""),
+    oneOf(body, "body_format", BODY_FORMATS).optional(),
+    ...(partial
+      ? []
+      : [
+          body("authors", "authors or author_ids is required").custom(
+            (value, { req }) => Boolean(value || req.body.author_ids)
+          ),
+        ]),
+  ];
+};
+
+/**
+ * Resolve the editable fields of a post checked by blogFieldValidators.
+ * Only fields present in `input` are resolved.
+ * @param {Object} input - Request body
+ * @returns {Promise<Object>} { fields } or { error }. fields holds title,
+ *   published_date, body, body_format, category ({ id, name }), authors
+ *   ([{ id, name }]) and tags for whichever were sent
+ */
+const resolveBlogFields = async (input) => {
+  const has = (name) => input[name] !== undefined;
+
+  const fields = {};
+  for (const name of ["title", "published_date", "body", "body_format"]) {
+    if (has(name)) fields[name] = input[name];
+  }
 
-    const blogData = blogs[0];
+  try {
+    fields.tags = parseTagList(input.tags);
+  } catch (e) {
+    return { error: e.message };
+  }
 
-    // Parse authors
-    let authors;
-    if (typeof blogData.authors === "string") {
-      try {
-        authors = JSON.parse(blogData.authors);
-      } catch (e) {
-        authors = [blogData.authors];
-      }
-    } else {
-      authors = blogData.authors || [];
+  if (has("category")) {
+    fields.category = await resolveCategory(db, input.category);
+    if (!fields.category) {
+      return { error: "Unknown category" };
     }
+  }
 
-    // Parse comments - handle all cases
-    let comments = [];
-    if (blogData.comments !== null && blogData.comments !== undefined) {
-      if (typeof blogData.comments === "string") {
-        try {
-          comments = JSON.parse(blogData.comments);
-        } catch (e) {
-          console.error("Error parsing comments string:", e);
-          comments = [];
-        }
-      } else if (Array.isArray(blogData.comments)) {
-        comments = blogData.comments;
-      } else if (typeof blogData.comments === "object") {
-        comments = Object.values(blogData.comments);
-      }
+  // Author profile ids, or names for older clients
+  if (has("authors") || has("author_ids")) {
+    const resolvedAuthors = await resolveBlogAuthors(db, {
+      authorIds: input.author_ids,
+      names: input.authors,
+    });
+    if (resolvedAuthors.error) {
+      return { error: resolvedAuthors.error };
     }
+    fields.authors = resolvedAuthors.authors;
+  }
 
-    // Parse and optimize featured_image (Cloudinary metadata)
-    let featuredImage = null;
-    if (blogData.featured_image) {
-      try {
-        const imageData =
-          typeof blogData.featured_image === "string"
-            ? JSON.parse(blogData.featured_image)
-            : blogData.featured_image;
-
-        // Send only essential metadata to frontend
-        featuredImage = {
-          public_id: imageData.public_id,
-          format: imageData.format,
-          resource_type: imageData.resource_type || "image",
-        };
-      } catch (e) {
-        console.error("Error parsing featured_image:", e);
-        featuredImage = null;
-      }
+  return { fields };
+};
+
+// Process, store and record an uploaded featured image, returning what goes
+// in blogs.featured_image. Each upload gets a new public ID, so a replaced
+// image stays intact for the revisions that still show it.
+const storeFeaturedImage = async (file, blogId, uploadedBy) => {
+  const processedBuffer = await processImage(file.buffer, "featured");
+  const [storedImage, placeholder] = await Promise.all([
+    storage.upload(processedBuffer, {
+      folder: "blogs/featured",
+      publicId: `featured-${blogId}-${Date.now()}`,
+    }),
+    getImagePlaceholder(processedBuffer),
+  ]);
+  console.log("Uploaded featured image:", storedImage.public_id);
+  await recordImage(db, storedImage, { kind: "featured", uploadedBy });
+  return { ...placeholder, ...storedImage };
+};
+
+// Load a blog with its approved comments, or null
+const loadBlog = async (id, { publicOnly, bySlug = false }) => {
+  const [blogs] = await db.query(
+    `SELECT * FROM blogs WHERE ${bySlug ? "slug" : "id"} = ?${
+      publicOnly ? ` AND ${PUBLIC_BLOG_CONDITION}` : ""
+    }`,
+    [id]
+  );
+
+  if (blogs.length === 0) return null;
+
+  // buildCommentTree drops replies whose parent is not approved
+  const [comments] = await db.query(
+    `SELECT ${PUBLIC_COMMENT_FIELDS} FROM comments
+     WHERE blog_id = ? AND status = 'approved'
+     ORDER BY created_at ASC`,
+    [blogs[0].id]
+  );
+
+  // Readers get the rendered body; the Markdown or HTML source is for editors
+  const { body_source, body_format, ...publicFields } = blogs[0];
+  const [blog] = await attachAuthorProfiles(
+    db,
+    await attachTags(db, [formatBlog(publicOnly ? publicFields : blogs[0])])
+  );
+
+  return {
+    ...blog,
+    toc: typeof blog.toc === "string" ? JSON.parse(blog.toc) : blog.toc || [],
+    comments: buildCommentTree(comments),
+  };
+};
+
+// Get single blog by slug. Old slugs return a redirect hint to the current one.
+router.get("/slug/:slug", async (req, res) => {
+  try {
+    const blog = await loadBlog(req.params.slug, {
+      publicOnly: true,
+      bySlug: true,
+    });
+
+    if (blog) {
+      return res.json(blog);
     }
 
-    const blog = {
-      ...blogData,
-      authors: authors,
-      comments: comments,
-      featured_image: featuredImage,
-    };
+    const [renamed] = await db.query(
+      `SELECT b.id, b.slug
+       FROM blog_slug_history h
+       JOIN blogs b ON b.id = h.blog_id
+       WHERE h.slug = ? AND ${PUBLIC_BLOG_CONDITION}`,
+      [req.params.slug]
+    );
+
+    if (renamed.length === 0) {
+      return sendError(res, 404, "Blog not found");
+    }
 
-    res.json(blog);
+    res.json({
+      redirect: true,
+      id: renamed[0].id,
+      slug: renamed[0].slug,
+    });
   } catch (error) {
-    console.error("Error fetching blog:", error);
-    res.status(500).json({ error: "Failed to fetch blog" });
+    console.error("Error fetching blog by slug:", error);
+    sendError(res, 500, "Failed to fetch blog");
   }
 });
 
-// Create new blog
-router.post("/new", upload.single("featured_image"), async (req, res) => {
+// Get single blog by ID (with comments)
+router.get("/:id", validate(uuidParam()), async (req, res) => {
   try {
-    const { title, published_date, category, authors, body } = req.body;
+    const blog = await loadBlog(req.params.id, { publicOnly: true });
 
-    // Validate required fields
-    if (!title || !published_date || !category || !authors || !body) {
-      return res.status(400).json({ error: "Missing required fields" });
+    if (!blog) {
+      return sendError(res, 404, "Blog not found");
     }
 
-    // Parse authors if it's a string
-    let parsedAuthors;
+    res.json(blog);
+  } catch (error) {
+    console.error("Error fetching blog:", error);
+    sendError(res, 500, "Failed to fetch blog");
+  }
+});
+
+// Preview a blog in any status
+router.get(
+  "/:id/preview",
+  requireWriter,
+  validate(uuidParam()),
+  authorizeBlogAccess,
+  async (req, res) => {
     try {
-      parsedAuthors =
-        typeof authors === "string" ? JSON.parse(authors) : authors;
-    } catch (e) {
-      return res
-        .status(400)
-        .json({ error: "Invalid authors format. Must be valid JSON array." });
+      const blog = await loadBlog(req.params.id, { publicOnly: false });
+      res.json(blog);
+    } catch (error) {
+      console.error("Error fetching blog preview:", error);
+      sendError(res, 500, "Failed to fetch blog preview");
     }
+  }
+);
 
-    // Generate blog ID
-    const blogId = uuidv4();
-
-    let featuredImageData = null;
+// Create new blog
+router.post(
+  "/new",
+  requireWriter,
+  upload.single("featured_image"),
+  verifyImage("featured"),
+  validate(
+    blogFieldValidators(),
+    lifecycleValidators({ statusRequired: false })
+  ),
+  async (req, res) => {
+    try {
+      const resolved = await resolveBlogFields(req.body);
+      if (resolved.error) {
+        return sendError(res, 400, resolved.error);
+      }
+      const { title, published_date, body, category, authors, tags } =
+        resolved.fields;
+      const authorNames = authors.map((author) => author.name);
 
-    // Handle featured image upload if provided
-    if (req.file) {
-      try {
-        console.log("Processing image upload...");
+      // New posts are drafts unless asked otherwise
+      const lifecycle = resolveLifecycle(
+        req.body.status || "draft",
+        req.body.publish_at
+      );
 
-        // Get original image metadata
-        // const originalMetadata = await getImageMetadata(req.file.buffer);
-        // console.log("Original image:", originalMetadata);
+      // Generate blog ID
+      const blogId = uuidv4();
 
-        // Compress image before uploading to Cloudinary
-        const compressedBuffer = await compressImage(req.file.buffer);
-        // console.log("Image compressed");
+      let featuredImageData = null;
 
-        // Upload to Cloudinary
-        const cloudinaryResult = await uploadToCloudinary(
-          compressedBuffer,
-          blogId
-        );
-        console.log("Uploaded to Cloudinary:", cloudinaryResult.public_id);
-
-        // Store Cloudinary metadata
-        featuredImageData = {
-          url: cloudinaryResult.url,
-          secure_url: cloudinaryResult.secure_url,
-          public_id: cloudinaryResult.public_id,
-          width: cloudinaryResult.width,
-          height: cloudinaryResult.height,
-          format: cloudinaryResult.format,
-          resource_type: cloudinaryResult.resource_type,
-          created_at: cloudinaryResult.created_at,
-        };
-      } catch (imageError) {
-        console.error("Feature Image upload error:", imageError);
-        return res.status(500).json({
-          error: "Failed to upload feature image",
-          details: imageError.message,
-        });
+      // Handle featured image upload if provided
+      if (req.file) {
+        try {
+          featuredImageData = await storeFeaturedImage(
+            req.file,
+            blogId,
+            req.user.id
+          );
+        } catch (imageError) {
+          console.error("Feature Image upload error:", imageError);
+          return sendError(res, 500, "Failed to upload feature image");
+        }
       }
-    }
 
-    // Insert blog into database
-    await db.query(
-      `INSERT INTO blogs 
-       (id, title, published_date, category, authors, featured_image, body, comments_count, comments) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)`,
-      [
-        blogId,
-        title,
-        published_date,
-        category,
-        JSON.stringify(parsedAuthors),
-        featuredImageData ? JSON.stringify(featuredImageData) : null,
+      const bodyColumns = buildBodyColumns(
         body,
-        "[]",
-      ]
-    );
-
-    console.log("Blog created successfully:", blogId);
+        resolved.fields.body_format || "html"
+      );
+
+      // Insert blog into database along with its first revision
+      const slug = await withTransaction(async (connection) => {
+        const slug = await generateUniqueSlug(connection, title);
+
+        await connection.query(
+          `INSERT INTO blogs 
+       (id, slug, title, published_date, category, category_id, authors, featured_image, body, body_source, body_format, toc, excerpt, word_count, reading_time, comments_count, created_by, status, publish_at, search_meta) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?)`,
+          [
+            blogId,
+            slug,
+            title,
+            published_date,
+            category.name,
+            category.id,
+            JSON.stringify(authorNames),
+            featuredImageData ? JSON.stringify(featuredImageData) : null,
+            bodyColumns.body,
+            bodyColumns.body_source,
+            bodyColumns.body_format,
+            bodyColumns.toc,
+            bodyColumns.excerpt,
+            bodyColumns.word_count,
+            bodyColumns.reading_time,
+            req.user.id,
+            lifecycle.status,
+            lifecycle.publishAt,
+            buildSearchMeta({ category: category.name, authors: authorNames }),
+          ]
+        );
+        await setBlogAuthors(connection, blogId, authors);
+        if (tags) {
+          await setBlogTags(connection, blogId, tags);
+        }
+        await syncBlogImages(connection, blogId);
+        await recordRevision(
+          connection,
+          blogId,
+          req.user.id,
+          "Initial revision"
+        );
 
-    res.status(201).json({
-      message: "Blog created successfully",
-      blogId: blogId,
-      featuredImage: featuredImageData,
-    });
-  } catch (error) {
-    console.error("Error creating blog:", error);
-    res.status(500).json({
-      error: "Failed to create blog",
-      details: error.message,
-    });
+        return slug;
+      });
+
+      console.log("Blog created successfully:", blogId);
+
+      res.status(201).json({
+        message: "Blog created successfully",
+        blogId: blogId,
+        slug: slug,
+        status: lifecycle.status,
+        readingTime: bodyColumns.reading_time,
+        wordCount: bodyColumns.word_count,
+        featuredImage: featuredImageData,
+      });
+    } catch (error) {
+      console.error("Error creating blog:", error);
+      sendError(res, 500, "Failed to create blog");
+    }
   }
-});
+);
+
+router.post(
+  "/upload-image",
+  requireWriter,
+  upload.single("image"),
+  verifyImage("body"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return sendError(res, 400, "No file uploaded");
+      }
 
-router.post("/upload-image", upload.single("image"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+      const processedBuffer = await processImage(req.file.buffer, "body");
+
+      const [result, placeholder] = await Promise.all([
+        storage.upload(processedBuffer, {
+          folder: "blogs/images",
+          overwrite: false,
+        }),
+        getImagePlaceholder(processedBuffer),
+      ]);
+      await recordImage(db, result, {
+        kind: "body",
+        uploadedBy: req.user.id,
+      });
+
+      res.status(200).json({
+        message: "Image uploaded successfully",
+        ...formatFeaturedImage({ ...result, ...placeholder }),
+        url: storage.url(result.public_id, { width: 768 }),
+      });
+    } catch (error) {
+      console.error("Image upload error:", error);
+      sendError(res, 500, "Failed to upload image");
     }
+  }
+);
+
+// Revision history and rollback
+router.use("/:id/revisions", revisionRoutes);
+
+// Update the fields sent and leave the rest alone. A multipart
+// `featured_image` file replaces the featured image; `remove_featured_image`
+// drops it. Either way the old image is released for image cleanup, which
+// deletes it once its revisions have been pruned.
+router.put(
+  "/:id",
+  requireWriter,
+  validate(uuidParam()),
+  authorizeBlogAccess,
+  upload.single("featured_image"),
+  verifyImage("featured"),
+  validate(
+    blogFieldValidators({ partial: true }),
+    booleanField("remove_featured_image")
+  ),
+  async (req, res) => {
+    try {
+      const blogId = req.params.id;
+      const removeFeaturedImage = req.body.remove_featured_image === true;
+      if (req.file && removeFeaturedImage) {
+        return sendError(
+          res,
+          400,
+          "Send a featured_image file or remove_featured_image, not both"
+        );
+      }
 
-    const compressedBuffer = await compressImage(req.file.buffer);
+      const resolved = await resolveBlogFields(req.body);
+      if (resolved.error) {
+        return sendError(res, 400, resolved.error);
+      }
+      const { fields } = resolved;
+
+      const [blogs] = await db.query(
+        "SELECT category, authors, body, body_source, body_format, featured_image FROM blogs WHERE id = ?",
+        [blogId]
+      );
+      if (blogs.length === 0) {
+        return sendError(res, 404, "Blog not found");
+      }
+      const current = blogs[0];
 
-    // Upload to Cloudinary
-    const result = await uploadToCloudinaryBodyImage(compressedBuffer);
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+      const updates = {};
+      if (fields.title !== undefined) updates.title = fields.title;
+      if (fields.published_date !== undefined) {
+        updates.published_date = fields.published_date;
+      }
+      if (fields.category) {
+        updates.category = fields.category.name;
+        updates.category_id = fields.category.id;
+      }
+      if (fields.authors) {
+        updates.authors = JSON.stringify(
+          fields.authors.map((author) => author.name)
+        );
+      }
+      if (fields.category || fields.authors) {
+        updates.search_meta = buildSearchMeta({
+          category: updates.category ?? current.category,
+          authors: updates.authors ?? current.authors,
+        });
+      }
+      // A new format alone re-renders the stored source
+      if (fields.body !== undefined || fields.body_format !== undefined) {
+        Object.assign(
+          updates,
+          buildBodyColumns(
+            fields.body ?? current.body_source ?? current.body,
+            fields.body_format ?? current.body_format ?? "html"
+          )
+        );
+      }
 
-    res.status(200).json({
-      message: "Image uploaded successfully",
-      url: `https://res.cloudinary.com/${cloudName}/image/upload/w_768,c_fill,f_auto,q_auto,dpr_auto/${result.public_id}`,
-      format: result.format,
-    });
-  } catch (error) {
-    console.error("Image upload error:", error);
-    res.status(500).json({
-      error: "Failed to upload image",
-      details: error.message,
-    });
-  }
-});
+      if (req.file) {
+        try {
+          updates.featured_image = JSON.stringify(
+            await storeFeaturedImage(req.file, blogId, req.user.id)
+          );
+        } catch (imageError) {
+          console.error("Feature Image upload error:", imageError);
+          return sendError(res, 500, "Failed to upload feature image");
+        }
+      } else if (removeFeaturedImage && current.featured_image) {
+        updates.featured_image = null;
+      }
 
-// Update blog
-router.put("/:id", async (req, res) => {
-  try {
-    const { title, published_date, category, authors, featured_image, body } =
-      req.body;
-    const blogId = req.params.id;
-
-    const [result] = await db.query(
-      "UPDATE blogs SET title = ?, published_date = ?, category = ?, authors = ?, featured_image = ?, body = ? WHERE id = ?",
-      [
-        title,
-        published_date,
-        category,
-        JSON.stringify(authors),
-        featured_image,
-        body,
-        blogId,
-      ]
-    );
+      if (Object.keys(updates).length === 0 && !fields.tags) {
+        return sendError(res, 400, "No fields to update");
+      }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Blog not found" });
+      await withTransaction(async (connection) => {
+        if (Object.keys(updates).length > 0) {
+          await connection.query("UPDATE blogs SET ? WHERE id = ?", [
+            updates,
+            blogId,
+          ]);
+        }
+        if (fields.authors) {
+          await setBlogAuthors(connection, blogId, fields.authors);
+        }
+        if (fields.title !== undefined) {
+          await updateBlogSlug(connection, blogId, fields.title);
+        }
+        if (fields.tags) {
+          await setBlogTags(connection, blogId, fields.tags);
+        }
+        await syncBlogImages(connection, blogId);
+        await recordRevision(connection, blogId, req.user.id);
+      });
+
+      res.json({
+        message: "Blog updated successfully",
+        ...(updates.featured_image !== undefined && {
+          featuredImage: formatFeaturedImage(updates.featured_image),
+        }),
+      });
+    } catch (error) {
+      console.error("Error updating blog:", error);
+      sendError(res, 500, "Failed to update blog");
     }
-
-    res.json({ message: "Blog updated successfully" });
-  } catch (error) {
-    console.error("Error updating blog:", error);
-    res.status(500).json({ error: "Failed to update blog" });
   }
-});
+);
+
+// Change a blog's lifecycle status (draft, scheduled, published, archived)
+router.patch(
+  "/:id/status",
+  requireWriter,
+  validate(uuidParam(), lifecycleValidators({ statusRequired: true })),
+  authorizeBlogAccess,
+  async (req, res) => {
+    try {
+      const lifecycle = resolveLifecycle(req.body.status, req.body.publish_at);
 
-// Delete blog
-router.delete("/:id", async (req, res) => {
-  try {
-    const [result] = await db.query("DELETE FROM blogs WHERE id = ?", [
-      req.params.id,
-    ]);
+      await withTransaction(async (connection) => {
+        await connection.query(
+          "UPDATE blogs SET status = ?, publish_at = COALESCE(?, publish_at) WHERE id = ?",
+          [lifecycle.status, lifecycle.publishAt, req.params.id]
+        );
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Blog not found" });
+        // Close out the submission this post was created from
+        if (lifecycle.status === "published") {
+          await markSubmissionsPublished(connection, [req.params.id]);
+        }
+      });
+
+      res.json({
+        message: "Blog status updated successfully",
+        status: lifecycle.status,
+        publish_at: lifecycle.publishAt,
+      });
+    } catch (error) {
+      console.error("Error updating blog status:", error);
+      sendError(res, 500, "Failed to update blog status");
     }
-
-    res.json({ message: "Blog deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting blog:", error);
-    res.status(500).json({ error: "Failed to delete blog" });
   }
-});
-
-// Add comment to blog
-// Add comment to blog
-router.post("/:id/comment", async (req, res) => {
-  try {
-    const { name, email, text, website } = req.body;
-    const blogId = req.params.id;
+);
+
+// Delete blog, its featured image and its claim on body images
+router.delete(
+  "/:id",
+  requireWriter,
+  validate(uuidParam()),
+  authorizeBlogAccess,
+  async (req, res) => {
+    try {
+      const result = await withTransaction(async (connection) => {
+        const [blogs] = await connection.query(
+          "SELECT featured_image FROM blogs WHERE id = ? FOR UPDATE",
+          [req.params.id]
+        );
+        if (blogs.length === 0) {
+          return { status: 404, error: "Blog not found" };
+        }
 
-    if (website && website.trim() !== "") {
-      return res.status(400).json({ error: "False information" });
-    }
+        const [linked] = await connection.query(
+          "SELECT image_id FROM blog_images WHERE blog_id = ?",
+          [req.params.id]
+        );
+        await connection.query("DELETE FROM blogs WHERE id = ?", [
+          req.params.id,
+        ]);
+
+        // Body images may be shared, so cleanup decides after the grace period
+        await releaseImages(
+          connection,
+          linked.map((link) => link.image_id)
+        );
 
-    if (!name || !email || !text) {
-      return res
-        .status(400)
-        .json({ error: "Name, email, and text are required" });
-    }
+        return { featuredImage: blogs[0].featured_image };
+      });
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: "Invalid email format" });
-    }
+      if (result.error) {
+        return sendError(res, result.status, result.error);
+      }
 
-    // Get current blog with explicit JSON handling
-    const [blogs] = await db.query(
-      "SELECT comments, comments_count FROM blogs WHERE id = ?",
-      [blogId]
-    );
+      if (result.featuredImage) {
+        await removeImage(result.featuredImage).catch((error) =>
+          console.error("Failed to delete featured image:", error)
+        );
+      }
 
-    if (blogs.length === 0) {
-      return res.status(404).json({ error: "Blog not found" });
+      res.json({ message: "Blog deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting blog:", error);
+      sendError(res, 500, "Failed to delete blog");
     }
+  }
+);
+
+// Fields of a new comment; `website` is a honeypot real readers leave empty
+const commentValidators = [
+  body("website", "False information")
+    .optional({ values: "falsy" })
+    .custom((value) => String(value).trim() === ""),
+  body("name", "name must be 1 to 100 characters")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("email", "Invalid email format").isString().trim().isEmail(),
+  body("text", "text must be 1 to 5000 characters")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 }),
+  body("parent_id", "parent_id must be a comment id")
+    .optional({ values: "falsy" })
+    .isUUID(),
+];
+
+// Add comment (or reply) to blog
+router.post(
+  "/:id/comment",
+  validate(uuidParam(), commentValidators),
+  async (req, res) => {
+    try {
+      const { name, email, text, parent_id } = req.body;
+      const blogId = req.params.id;
+
+      // Insert the comment and keep the counter in step
+      const result = await withTransaction(async (connection) => {
+        const [blogs] = await connection.query(
+          `SELECT id, slug, title, created_by FROM blogs WHERE id = ? AND ${PUBLIC_BLOG_CONDITION} FOR UPDATE`,
+          [blogId]
+        );
 
-    // Parse existing comments - handle both NULL and empty array
-    let currentComments = [];
-    if (blogs[0].comments) {
-      if (typeof blogs[0].comments === "string") {
-        try {
-          currentComments = JSON.parse(blogs[0].comments);
-        } catch (e) {
-          console.error("Error parsing comments:", e);
-          currentComments = [];
+        if (blogs.length === 0) {
+          return { status: 404, error: "Blog not found" };
         }
-      } else if (Array.isArray(blogs[0].comments)) {
-        // Already parsed as JSON by MySQL
-        currentComments = blogs[0].comments;
-      }
-    }
-
-    // Create new comment
-    const newComment = {
-      id: uuidv4(),
-      name,
-      email,
-      text,
-      timestamp: new Date().toISOString(),
-    };
-
-    // Add new comment to the array
-    currentComments.push(newComment);
-
-    // Update blog with new comment using JSON_SET or direct JSON
-    await db.query(
-      "UPDATE blogs SET comments = CAST(? AS JSON), comments_count = ? WHERE id = ?",
-      [JSON.stringify(currentComments), currentComments.length, blogId]
-    );
 
-    res.status(201).json({
-      message: "Comment added successfully",
-      comment: newComment,
-    });
-  } catch (error) {
-    console.error("Error adding comment:", error);
-    res.status(500).json({ error: "Failed to add comment" });
-  }
-});
+        // Replies are only allowed on live comments of the same blog
+        if (parent_id) {
+          const [parents] = await connection.query(
+            "SELECT id FROM comments WHERE id = ? AND blog_id = ? AND status = 'approved'",
+            [parent_id, blogId]
+          );
 
-// Get comments for a blog
-// Get comments for a blog with pagination
-router.get("/:id/comments", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+          if (parents.length === 0) {
+            return { status: 400, error: "Parent comment not found" };
+          }
+        }
 
-    const [blogs] = await db.query(
-      "SELECT comments, comments_count FROM blogs WHERE id = ?",
-      [req.params.id]
-    );
+        const comment = {
+          id: uuidv4(),
+          parent_id: parent_id || null,
+          name,
+          text,
+          status: await getInitialCommentStatus(connection, email),
+          timestamp: new Date(),
+        };
 
-    if (blogs.length === 0) {
-      return res.status(404).json({ error: "Blog not found" });
-    }
+        await connection.query(
+          `INSERT INTO comments (id, blog_id, parent_id, name, email, text, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            comment.id,
+            blogId,
+            comment.parent_id,
+            name,
+            email,
+            text,
+            comment.status,
+            comment.timestamp,
+          ]
+        );
 
-    let allComments = [];
+        if (comment.status === "approved") {
+          await refreshCommentsCount(connection, blogId);
+        }
 
-    // Handle different types of data from MySQL
-    if (blogs[0].comments !== null && blogs[0].comments !== undefined) {
-      if (typeof blogs[0].comments === "string") {
-        try {
-          allComments = JSON.parse(blogs[0].comments);
-        } catch (e) {
-          console.error("Error parsing comments string:", e);
-          allComments = [];
+        // Let the post's owner know about the new comment
+        const [owners] = await connection.query(
+          "SELECT email FROM users WHERE id = ? AND is_active = 1",
+          [blogs[0].created_by]
+        );
+        if (owners.length > 0) {
+          await queueEmail(connection, {
+            to: owners[0].email,
+            template: "newComment",
+            data: {
+              blog: blogs[0],
+              commenterName: name,
+              text,
+              status: comment.status,
+            },
+          });
         }
-      } else if (Array.isArray(blogs[0].comments)) {
-        allComments = blogs[0].comments;
-      } else if (typeof blogs[0].comments === "object") {
-        allComments = Object.values(blogs[0].comments);
+
+        return { comment };
+      });
+
+      if (result.error) {
+        return sendError(res, result.status, result.error);
       }
+
+      res.status(201).json({
+        message:
+          result.comment.status === "approved"
+            ? "Comment added successfully"
+            : "Comment submitted for moderation",
+        comment: result.comment,
+      });
+    } catch (error) {
+      console.error("Error adding comment:", error);
+      sendError(res, 500, "Failed to add comment");
     }
+  }
+);
 
-    // Sort comments by timestamp (newest first)
-    allComments.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+// Get approved comments for a blog, paginated by thread
+router.get(
+  "/:id/comments",
+  validate(uuidParam(), paginationRules({ defaultLimit: 10 })),
+  async (req, res) => {
+    try {
+      const { page, limit, offset } = getPagination(req);
 
-    // Calculate pagination
-    const totalComments = allComments.length;
-    const totalPages = Math.ceil(totalComments / limit);
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedComments = allComments.slice(startIndex, endIndex);
+      const [blogs] = await db.query(
+        `SELECT comments_count FROM blogs WHERE id = ? AND ${PUBLIC_BLOG_CONDITION}`,
+        [req.params.id]
+      );
 
-    res.json({
-      comments: paginatedComments,
-      pagination: {
-        currentPage: page,
-        totalPages: totalPages,
-        totalComments: totalComments,
-        limit: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-      count: blogs[0].comments_count,
-    });
-  } catch (error) {
-    console.error("Error fetching comments:", error);
-    res.status(500).json({ error: "Failed to fetch comments" });
+      if (blogs.length === 0) {
+        return sendError(res, 404, "Blog not found");
+      }
+
+      const [countResult] = await db.query(
+        `SELECT COUNT(*) as total FROM comments
+       WHERE blog_id = ? AND status = 'approved' AND parent_id IS NULL`,
+        [req.params.id]
+      );
+      const totalComments = countResult[0].total;
+      const totalPages = Math.ceil(totalComments / limit);
+
+      // Newest threads first
+      const [threads] = await db.query(
+        `SELECT ${PUBLIC_COMMENT_FIELDS} FROM comments
+       WHERE blog_id = ? AND status = 'approved' AND parent_id IS NULL
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`,
+        [req.params.id, limit, offset]
+      );
+
+      // All approved replies below those threads, oldest first
+      let replies = [];
+      if (threads.length > 0) {
+        [replies] = await db.query(
+          `WITH RECURSIVE thread AS (
+           SELECT id, parent_id, name, text, created_at
+           FROM comments
+           WHERE parent_id IN (?) AND status = 'approved'
+           UNION ALL
+           SELECT c.id, c.parent_id, c.name, c.text, c.created_at
+           FROM comments c
+           JOIN thread t ON c.parent_id = t.id
+           WHERE c.status = 'approved'
+         )
+         SELECT ${PUBLIC_COMMENT_FIELDS} FROM thread ORDER BY created_at ASC`,
+          [threads.map((thread) => thread.id)]
+        );
+      }
+
+      res.json({
+        comments: buildCommentTree([...threads, ...replies]),
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalComments: totalComments,
+          limit: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        count: blogs[0].comments_count,
+      });
+    } catch (error) {
+      console.error("Error fetching comments:", error);
+      sendError(res, 500, "Failed to fetch comments");
+    }
   }
-});
+);
 
 // Delete a comment
-router.delete("/:blogId/comment/:commentId", async (req, res) => {
-  try {
-    const { blogId, commentId } = req.params;
+router.delete(
+  "/:blogId/comment/:commentId",
+  requireModerator,
+  validate(uuidParam("blogId"), uuidParam("commentId")),
+  async (req, res) => {
+    try {
+      const { blogId, commentId } = req.params;
 
-    // Get current blog
-    const [blogs] = await db.query("SELECT comments FROM blogs WHERE id = ?", [
-      blogId,
-    ]);
+      const [blogs] = await db.query("SELECT id FROM blogs WHERE id = ?", [
+        blogId,
+      ]);
 
-    if (blogs.length === 0) {
-      return res.status(404).json({ error: "Blog not found" });
-    }
+      if (blogs.length === 0) {
+        return sendError(res, 404, "Blog not found");
+      }
 
-    // Parse and filter comments
-    let comments;
-    try {
-      comments = JSON.parse(blogs[0].comments || "[]");
-    } catch (e) {
-      comments = [];
-    }
+      const deleted = await withTransaction(async (connection) => {
+        // Replies are removed along with their parent
+        const [result] = await connection.query(
+          "DELETE FROM comments WHERE id = ? AND blog_id = ?",
+          [commentId, blogId]
+        );
 
-    const initialLength = comments.length;
-    comments = comments.filter((comment) => comment.id !== commentId);
+        if (result.affectedRows === 0) {
+          return false;
+        }
 
-    if (comments.length === initialLength) {
-      return res.status(404).json({ error: "Comment not found" });
-    }
+        await refreshCommentsCount(connection, blogId);
 
-    // Update blog
-    await db.query(
-      "UPDATE blogs SET comments = ?, comments_count = ? WHERE id = ?",
-      [JSON.stringify(comments), comments.length, blogId]
-    );
+        return true;
+      });
 
-    res.json({ message: "Comment deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting comment:", error);
-    res.status(500).json({ error: "Failed to delete comment" });
+      if (!deleted) {
+        return sendError(res, 404, "Comment not found");
+      }
+
+      res.json({ message: "Comment deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      sendError(res, 500, "Failed to delete comment");
+    }
   }
-});
+);
 export default router;
@@ -0,0 +1,254 @@
+import { Router } from "express";
+const router = Router();
+import { body } from "express-validator";
+import db, { withTransaction } from "../config/db.js";
+import { requireRole } from "../middleware/auth.js";
+import { MODERATOR_ROLES } from "../utils/auth.js";
+import { PUBLIC_BLOG_CONDITION } from "../utils/blogQueries.js";
+import { generateCategorySlug, syncCategoryName } from "../utils/taxonomy.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import { intParam } from "../utils/validation.js";
+
+const requireModerator = requireRole(...MODERATOR_ROLES);
+
+// Fields of a category; only name is required when creating one
+const categoryValidators = (required) => [
+  (required ? body("name") : body("name").optional())
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("name must be 1 to 100 characters"),
+  body("slug", "slug must be 1 to 100 characters")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("description", "description must be at most 1000 characters")
+    .optional({ values: "null" })
+    .trim()
+    .isLength({ max: 1000 }),
+  body("sort_order", "sort_order must be a whole number")
+    .optional()
+    .isInt()
+    .toInt(),
+];
+
+// Categories with the number of posts readers can see in each
+const CATEGORY_WITH_COUNT = `
+  SELECT c.id, c.name, c.slug, c.description, c.sort_order,
+         c.created_at, c.updated_at,
+         (SELECT COUNT(*) FROM blogs
+          WHERE category_id = c.id AND ${PUBLIC_BLOG_CONDITION}) AS post_count
+  FROM categories c`;
+
+// Get all categories in display order
+router.get("/", async (req, res) => {
+  try {
+    const [categories] = await db.query(
+      `${CATEGORY_WITH_COUNT} ORDER BY c.sort_order ASC, c.name ASC`
+    );
+    res.json({ categories });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    sendError(res, 500, "Failed to fetch categories");
+  }
+});
+
+// Get a single category by slug
+router.get("/:slug", async (req, res) => {
+  try {
+    const [categories] = await db.query(
+      `${CATEGORY_WITH_COUNT} WHERE c.slug = ?`,
+      [req.params.slug]
+    );
+
+    if (categories.length === 0) {
+      return sendError(res, 404, "Category not found");
+    }
+
+    res.json(categories[0]);
+  } catch (error) {
+    console.error("Error fetching category:", error);
+    sendError(res, 500, "Failed to fetch category");
+  }
+});
+
+// Create a category
+router.post(
+  "/",
+  requireModerator,
+  validate(categoryValidators(true)),
+  async (req, res) => {
+    try {
+      const { name, description = null, sort_order = 0 } = req.body;
+
+      const [existing] = await db.query(
+        "SELECT id FROM categories WHERE name = ?",
+        [name]
+      );
+      if (existing.length > 0) {
+        return sendError(res, 409, "Category already exists");
+      }
+
+      const slug = await generateCategorySlug(db, req.body.slug || name);
+      const [result] = await db.query(
+        "INSERT INTO categories (name, slug, description, sort_order) VALUES (?, ?, ?, ?)",
+        [name, slug, description, sort_order]
+      );
+
+      res.status(201).json({
+        message: "Category created successfully",
+        category: { id: result.insertId, name, slug, description, sort_order },
+      });
+    } catch (error) {
+      console.error("Error creating category:", error);
+      sendError(res, 500, "Failed to create category");
+    }
+  }
+);
+
+// Reorder categories: { order: [id, id, ...] } sets sort_order to each position
+router.put(
+  "/order",
+  requireModerator,
+  validate(
+    body("order", "order must be a non-empty list of category ids").isArray({
+      min: 1,
+    }),
+    body("order.*", "order must be a non-empty list of category ids")
+      .isInt({ min: 1 })
+      .toInt()
+  ),
+  async (req, res) => {
+    try {
+      await withTransaction(async (connection) => {
+        for (const [position, id] of req.body.order.entries()) {
+          await connection.query(
+            "UPDATE categories SET sort_order = ? WHERE id = ?",
+            [position, id]
+          );
+        }
+      });
+
+      res.json({ message: "Categories reordered successfully" });
+    } catch (error) {
+      console.error("Error reordering categories:", error);
+      sendError(res, 500, "Failed to reorder categories");
+    }
+  }
+);
+
+// Update a category's name, slug, description or position
+router.put(
+  "/:id",
+  requireModerator,
+  validate(intParam(), categoryValidators(false)),
+  async (req, res) => {
+    try {
+      const { name, slug, description, sort_order } = req.body;
+      const categoryId = req.params.id;
+
+      const result = await withTransaction(async (connection) => {
+        const [categories] = await connection.query(
+          "SELECT id, name FROM categories WHERE id = ? FOR UPDATE",
+          [categoryId]
+        );
+        if (categories.length === 0) {
+          return { status: 404, error: "Category not found" };
+        }
+
+        if (name !== undefined && name !== categories[0].name) {
+          const [existing] = await connection.query(
+            "SELECT id FROM categories WHERE name = ? AND id <> ?",
+            [name, categoryId]
+          );
+          if (existing.length > 0) {
+            return { status: 409, error: "Category already exists" };
+          }
+        }
+
+        const updates = [];
+        const params = [];
+
+        if (name !== undefined) {
+          updates.push("name = ?");
+          params.push(name);
+        }
+        if (slug !== undefined) {
+          updates.push("slug = ?");
+          params.push(await generateCategorySlug(connection, slug, categoryId));
+        }
+        if (description !== undefined) {
+          updates.push("description = ?");
+          params.push(description);
+        }
+        if (sort_order !== undefined) {
+          updates.push("sort_order = ?");
+          params.push(sort_order);
+        }
+
+        if (updates.length === 0) {
+          return { status: 400, error: "No fields to update" };
+        }
+
+        await connection.query(
+          `UPDATE categories SET ${updates.join(", ")} WHERE id = ?`,
+          [...params, categoryId]
+        );
+
+        // Posts keep a copy of the category name for search and revisions
+        if (name !== undefined && name !== categories[0].name) {
+          await syncCategoryName(connection, categoryId, name);
+        }
+
+        return {};
+      });
+
+      if (result.error) {
+        return sendError(res, result.status, result.error);
+      }
+
+      res.json({ message: "Category updated successfully" });
+    } catch (error) {
+      console.error("Error updating category:", error);
+      sendError(res, 500, "Failed to update category");
+    }
+  }
+);
+
+// Delete a category that no post uses
+router.delete(
+  "/:id",
+  requireModerator,
+  validate(intParam()),
+  async (req, res) => {
+    try {
+      const [usage] = await db.query(
+        "SELECT COUNT(*) AS total FROM blogs WHERE category_id = ?",
+        [req.params.id]
+      );
+      if (usage[0].total > 0) {
+        return sendError(
+          res,
+          409,
+          "Category is still used by posts; move them first",
+          { code: "CATEGORY_IN_USE", details: { postCount: usage[0].total } }
+        );
+      }
+
+      const [result] = await db.query("DELETE FROM categories WHERE id = ?", [
+        req.params.id,
+      ]);
+
+      if (result.affectedRows === 0) {
+        return sendError(res, 404, "Category not found");
+      }
+
+      res.json({ message: "Category deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      sendError(res, 500, "Failed to delete category");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,112 @@
+import { Router } from "express";
+const router = Router();
+import db, { withTransaction } from "../config/db.js";
+import { requireRole } from "../middleware/auth.js";
+import { MODERATOR_ROLES } from "../utils/auth.js";
+import { COMMENT_STATUSES, refreshCommentsCount } from "../utils/comments.js";
+import { sendError } from "../utils/errors.js";
+import { body, query } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import {
+  getPagination,
+  getQuery,
+  oneOf,
+  paginationRules,
+  uuidParam,
+} from "../utils/validation.js";
+
+router.use(requireRole(...MODERATOR_ROLES));
+
+// Get comments by moderation status (defaults to the pending queue)
+router.get(
+  "/",
+  validate(
+    oneOf(query, "status", COMMENT_STATUSES).optional({ values: "falsy" }),
+    paginationRules({ defaultLimit: 20 })
+  ),
+  async (req, res) => {
+    try {
+      const { status = "pending" } = getQuery(req);
+      const { page, limit, offset } = getPagination(req);
+
+      const [countResult] = await db.query(
+        "SELECT COUNT(*) as total FROM comments WHERE status = ?",
+        [status]
+      );
+      const totalComments = countResult[0].total;
+      const totalPages = Math.ceil(totalComments / limit);
+
+      // Oldest first so the queue is worked in order
+      const [comments] = await db.query(
+        `SELECT c.id, c.blog_id, b.title AS blog_title, c.parent_id, c.name,
+              c.email, c.text, c.status, c.created_at AS timestamp,
+              c.moderated_by, c.moderated_at
+       FROM comments c
+       JOIN blogs b ON b.id = c.blog_id
+       WHERE c.status = ?
+       ORDER BY c.created_at ASC
+       LIMIT ? OFFSET ?`,
+        [status, limit, offset]
+      );
+
+      res.json({
+        comments,
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalComments: totalComments,
+          limit: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching comments for moderation:", error);
+      sendError(res, 500, "Failed to fetch comments");
+    }
+  }
+);
+
+// Approve, reject or mark a comment as spam
+router.patch(
+  "/:commentId/status",
+  validate(uuidParam("commentId"), oneOf(body, "status", COMMENT_STATUSES)),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+
+      const updated = await withTransaction(async (connection) => {
+        const [comments] = await connection.query(
+          "SELECT blog_id FROM comments WHERE id = ? FOR UPDATE",
+          [req.params.commentId]
+        );
+
+        if (comments.length === 0) {
+          return false;
+        }
+
+        await connection.query(
+          "UPDATE comments SET status = ?, moderated_by = ?, moderated_at = NOW() WHERE id = ?",
+          [status, req.user.id, req.params.commentId]
+        );
+        await refreshCommentsCount(connection, comments[0].blog_id);
+
+        return true;
+      });
+
+      if (!updated) {
+        return sendError(res, 404, "Comment not found");
+      }
+
+      res.json({
+        message: "Comment status updated successfully",
+        status: status,
+      });
+    } catch (error) {
+      console.error("Error updating comment status:", error);
+      sendError(res, 500, "Failed to update comment status");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,22 @@
+import { Router } from "express";
+import swaggerUi from "swagger-ui-express";
+import openApiDocument from "../openapi/index.js";
+
+const router = Router();
+
+// The OpenAPI document, for client generators
+router.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Interactive docs (Swagger UI)
+router.use(
+  "/",
+  swaggerUi.serve,
+  swaggerUi.setup(openApiDocument, {
+    customSiteTitle: "CAMBLOG API",
+    swaggerOptions: { persistAuthorization: true },
+  })
+);
+
+export default router;
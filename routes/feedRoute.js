@@ -0,0 +1,113 @@
+import { Router } from "express";
+import crypto from "crypto";
+import { queryBlogs } from "../utils/blogQueries.js";
+import {
+  buildAtomFeed,
+  buildJsonFeed,
+  buildRssFeed,
+  toFeedItem,
+} from "../utils/feeds.js";
+import { SITE_NAME, SITE_URL } from "../config/site.js";
+import { sendError } from "../utils/errors.js";
+import { query } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { getQuery } from "../utils/validation.js";
+
+const router = Router();
+
+const DEFAULT_FEED_SIZE = 20;
+const MAX_FEED_SIZE = 50;
+
+const FEED_FORMATS = {
+  rss: {
+    contentType: "application/rss+xml; charset=utf-8",
+    build: buildRssFeed,
+  },
+  atom: {
+    contentType: "application/atom+xml; charset=utf-8",
+    build: buildAtomFeed,
+  },
+  json: {
+    contentType: "application/feed+json; charset=utf-8",
+    build: (feed, items) => JSON.stringify(buildJsonFeed(feed, items)),
+  },
+};
+
+// Serve a feed of the latest public posts, optionally for one category or author
+const sendFeed = async (req, res) => {
+  try {
+    const format = FEED_FORMATS[req.params.format];
+    if (!format) {
+      return sendError(res, 404, "Unknown feed format");
+    }
+
+    const category = req.params.category || req.query.category;
+    const author = req.params.author || req.query.author;
+    const { full, limit } = getQuery(req);
+
+    const { blogs } = await queryBlogs({
+      category,
+      author,
+      sortBy: "latest",
+      includeBody: full,
+      limit,
+      offset: 0,
+    });
+    const items = blogs.map(toFeedItem);
+
+    const lastModified = items.reduce(
+      (latest, item) => (item.updated > latest ? item.updated : latest),
+      null
+    );
+
+    const scope = [category, author].filter(Boolean).join(" · ");
+    const feed = {
+      title: scope ? `${SITE_NAME} — ${scope}` : SITE_NAME,
+      description: scope
+        ? `Latest posts on ${SITE_NAME}: ${scope}`
+        : `Latest posts on ${SITE_NAME}`,
+      homeUrl: SITE_URL,
+      feedUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+      // A fixed date keeps an empty feed's body, and so its ETag, stable
+      updated: lastModified || new Date(0),
+    };
+    const body = format.build(feed, items);
+
+    res.set({
+      "Content-Type": format.contentType,
+      "Cache-Control": "public, max-age=300",
+      ETag: `"${crypto.createHash("sha1").update(body).digest("hex")}"`,
+    });
+    if (lastModified) {
+      res.set("Last-Modified", lastModified.toUTCString());
+    }
+
+    // Polling clients that already have this version get a 304
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.send(body);
+  } catch (error) {
+    console.error("Error building feed:", error);
+    sendError(res, 500, "Failed to build feed");
+  }
+};
+
+const feedValidators = validate(
+  query("full", "full must be true or false")
+    .default(false)
+    .isBoolean()
+    .toBoolean(true),
+  query("limit", `limit must be a whole number from 1 to ${MAX_FEED_SIZE}`)
+    .default(DEFAULT_FEED_SIZE)
+    .isInt({ min: 1, max: MAX_FEED_SIZE })
+    .toInt()
+);
+
+// Feeds: /feed.rss, /feed.atom, /feed.json (?category=, ?author=, ?full=1, ?limit=)
+router.get("/feed.:format", feedValidators, sendFeed);
+router.get("/category/:category/feed.:format", feedValidators, sendFeed);
+router.get("/author/:author/feed.:format", feedValidators, sendFeed);
+
+export default router;
@@ -0,0 +1,47 @@
+import { Router } from "express";
+const router = Router();
+import { requireRole } from "../middleware/auth.js";
+import { MODERATOR_ROLES } from "../utils/auth.js";
+import {
+  IMAGE_CLEANUP_GRACE_HOURS,
+  findUnusedImages,
+} from "../utils/images.js";
+import { sendError } from "../utils/errors.js";
+import { query } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { getQuery } from "../utils/validation.js";
+
+const requireModerator = requireRole(...MODERATOR_ROLES);
+
+// Dry run of the image cleanup: unused images and when each will be deleted
+router.get(
+  "/unused",
+  requireModerator,
+  validate(
+    query("limit", "limit must be a whole number from 1 to 1000")
+      .default(100)
+      .isInt({ min: 1, max: 1000 })
+      .toInt()
+  ),
+  async (req, res) => {
+    try {
+      const { limit } = getQuery(req);
+      const now = new Date();
+
+      const images = (await findUnusedImages({ expired: false, limit })).map(
+        (image) => ({ ...image, expired: image.expires_at <= now })
+      );
+
+      res.json({
+        graceHours: IMAGE_CLEANUP_GRACE_HOURS,
+        expiredCount: images.filter((image) => image.expired).length,
+        images,
+      });
+    } catch (error) {
+      console.error("Error fetching unused images:", error);
+      sendError(res, 500, "Failed to fetch unused images");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,137 @@
+import { Router } from "express";
+const router = Router({ mergeParams: true });
+import db, { withTransaction } from "../config/db.js";
+import { authorizeBlogAccess, requireRole } from "../middleware/auth.js";
+import { WRITER_ROLES } from "../utils/auth.js";
+import { parseAuthors } from "../utils/blogFormatter.js";
+import {
+  applyRevision,
+  diffRevisions,
+  recordRevision,
+} from "../utils/revisions.js";
+import { sendError } from "../utils/errors.js";
+import { param, query } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { getQuery, uuidParam } from "../utils/validation.js";
+
+// Mounted at /api/blog/:id/revisions
+router.use(
+  validate(uuidParam()),
+  requireRole(...WRITER_ROLES),
+  authorizeBlogAccess
+);
+
+const revisionNumber = (location, name) =>
+  location(name, `${name} must be a revision number`).isInt({ min: 1 }).toInt();
+
+const loadRevision = async (blogId, revisionNumber) => {
+  const [revisions] = await db.query(
+    "SELECT * FROM blog_revisions WHERE blog_id = ? AND revision_number = ?",
+    [blogId, revisionNumber]
+  );
+  return revisions[0] || null;
+};
+
+// List revisions, newest first
+router.get("/", async (req, res) => {
+  try {
+    const [revisions] = await db.query(
+      `SELECT r.revision_number, r.title, r.note, r.created_at,
+              r.edited_by, u.name AS edited_by_name
+       FROM blog_revisions r
+       LEFT JOIN users u ON u.id = r.edited_by
+       WHERE r.blog_id = ?
+       ORDER BY r.revision_number DESC`,
+      [req.params.id]
+    );
+
+    res.json({ revisions });
+  } catch (error) {
+    console.error("Error fetching revisions:", error);
+    sendError(res, 500, "Failed to fetch revisions");
+  }
+});
+
+// Compare two revisions: /diff?from=<revision>&to=<revision>
+router.get(
+  "/diff",
+  validate(revisionNumber(query, "from"), revisionNumber(query, "to")),
+  async (req, res) => {
+    try {
+      const { from, to } = getQuery(req);
+
+      const [fromRevision, toRevision] = await Promise.all([
+        loadRevision(req.params.id, from),
+        loadRevision(req.params.id, to),
+      ]);
+
+      if (!fromRevision || !toRevision) {
+        return sendError(res, 404, "Revision not found");
+      }
+
+      res.json({
+        from,
+        to,
+        changes: diffRevisions(fromRevision, toRevision),
+      });
+    } catch (error) {
+      console.error("Error comparing revisions:", error);
+      sendError(res, 500, "Failed to compare revisions");
+    }
+  }
+);
+
+// Get a single revision with its full content
+router.get(
+  "/:revision",
+  validate(revisionNumber(param, "revision")),
+  async (req, res) => {
+    try {
+      const revision = await loadRevision(req.params.id, req.params.revision);
+
+      if (!revision) {
+        return sendError(res, 404, "Revision not found");
+      }
+
+      res.json({ ...revision, authors: parseAuthors(revision.authors) });
+    } catch (error) {
+      console.error("Error fetching revision:", error);
+      sendError(res, 500, "Failed to fetch revision");
+    }
+  }
+);
+
+// Make an older revision the current version
+router.post(
+  "/:revision/restore",
+  validate(revisionNumber(param, "revision")),
+  async (req, res) => {
+    try {
+      const revision = await loadRevision(req.params.id, req.params.revision);
+
+      if (!revision) {
+        return sendError(res, 404, "Revision not found");
+      }
+
+      const revisionNumber = await withTransaction(async (connection) => {
+        await applyRevision(connection, revision);
+        return recordRevision(
+          connection,
+          req.params.id,
+          req.user.id,
+          `Restored revision ${revision.revision_number}`
+        );
+      });
+
+      res.json({
+        message: "Revision restored successfully",
+        revision: revisionNumber,
+      });
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      sendError(res, 500, "Failed to restore revision");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,104 @@
+import { Router } from "express";
+import db from "../config/db.js";
+import { getImageUrl } from "../config/storage.js";
+import { SITE_URL, getBlogUrl, getCategoryUrl } from "../config/site.js";
+import { PUBLIC_BLOG_CONDITION } from "../utils/blogQueries.js";
+import { formatFeaturedImage } from "../utils/blogFormatter.js";
+import { buildSitemapIndex, buildSitemaps } from "../utils/sitemap.js";
+import { sendError } from "../utils/errors.js";
+
+const router = Router();
+
+// Home page, category pages and every public post, oldest first so page
+// boundaries stay put as new posts are added
+const loadSitemapEntries = async () => {
+  const [categories] = await db.query(
+    `SELECT c.slug, MAX(b.updated_at) AS lastmod
+     FROM categories c
+     JOIN blogs b ON b.category_id = c.id
+     WHERE c.slug IS NOT NULL AND ${PUBLIC_BLOG_CONDITION}
+     GROUP BY c.id, c.slug, c.sort_order, c.name
+     ORDER BY c.sort_order ASC, c.name ASC`
+  );
+
+  const [blogs] = await db.query(
+    `SELECT id, slug, featured_image, updated_at
+     FROM blogs
+     WHERE ${PUBLIC_BLOG_CONDITION}
+     ORDER BY created_at ASC, id ASC`
+  );
+
+  const siteLastmod = blogs.reduce(
+    (latest, blog) =>
+      !latest || blog.updated_at > latest ? blog.updated_at : latest,
+    null
+  );
+
+  return [
+    { loc: `${SITE_URL}/`, lastmod: siteLastmod },
+    ...categories.map((category) => ({
+      loc: getCategoryUrl(category),
+      lastmod: category.lastmod,
+    })),
+    ...blogs.map((blog) => {
+      const image = formatFeaturedImage(blog.featured_image);
+      return {
+        loc: getBlogUrl(blog),
+        lastmod: blog.updated_at,
+        images: image ? [getImageUrl(image, { format: image.format })] : [],
+      };
+    }),
+  ];
+};
+
+const sendXml = (res, xml) => {
+  res.set({
+    "Content-Type": "application/xml; charset=utf-8",
+    "Cache-Control": "public, max-age=3600",
+  });
+  res.send(xml);
+};
+
+// Single sitemap, or a sitemap index once the site outgrows one file
+router.get("/sitemap.xml", async (req, res) => {
+  try {
+    const sitemaps = buildSitemaps(await loadSitemapEntries());
+
+    if (sitemaps.length === 1) {
+      return sendXml(res, sitemaps[0].xml);
+    }
+
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    sendXml(
+      res,
+      buildSitemapIndex(
+        sitemaps.map((sitemap, index) => ({
+          loc: `${baseUrl}/sitemap-${index + 1}.xml`,
+          lastmod: sitemap.lastmod,
+        }))
+      )
+    );
+  } catch (error) {
+    console.error("Error building sitemap:", error);
+    sendError(res, 500, "Failed to build sitemap");
+  }
+});
+
+// One page of a split sitemap, numbered from 1
+router.get("/sitemap-:page.xml", async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    const sitemaps = buildSitemaps(await loadSitemapEntries());
+
+    if (!page || page < 1 || page > sitemaps.length) {
+      return sendError(res, 404, "Sitemap not found");
+    }
+
+    sendXml(res, sitemaps[page - 1].xml);
+  } catch (error) {
+    console.error("Error building sitemap:", error);
+    sendError(res, 500, "Failed to build sitemap");
+  }
+});
+
+export default router;
@@ -1,28 +1,78 @@
 import { Router } from "express";
 const router = Router();
-import { body, validationResult } from "express-validator";
+import { body, query } from "express-validator";
 import rateLimit from "express-rate-limit";
-import db from "../config/db.js";
+import db, { withTransaction } from "../config/db.js";
 import { v4 as uuidv4 } from "uuid";
+import dayjs from "dayjs";
+import { requireRole } from "../middleware/auth.js";
+import { MODERATOR_ROLES } from "../utils/auth.js";
+import { recordRevision } from "../utils/revisions.js";
+import { queueEmail } from "../utils/mailer.js";
+import { buildSearchMeta } from "../utils/search.js";
+import { generateUniqueSlug } from "../utils/slugs.js";
+import { resolveCategory } from "../utils/taxonomy.js";
+import { buildBodyColumns } from "../utils/content.js";
+import { resolveBlogAuthors, setBlogAuthors } from "../utils/authors.js";
+import {
+  SUBMISSION_STATUSES,
+  SUBMISSION_TRANSITIONS,
+  buildSubmissionDraftBody,
+  canTransition,
+  recordStatusChange,
+  unescapeSubmissionText,
+} from "../utils/submissions.js";
+import { errorBody, sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import {
+  getPagination,
+  getQuery,
+  oneOf,
+  paginationRules,
+  uuidParam,
+} from "../utils/validation.js";
+
+const requireModerator = requireRole(...MODERATOR_ROLES);
 
 const submissionLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 10,
-  message: { error: "Too many submissions, please try again later." },
+  message: errorBody(429, "Too many submissions, please try again later."),
 });
 
 // POST /api/blog/submission
 router.post(
   "/",
   submissionLimiter,
-  [
-    body("name").trim().isLength({ min: 2, max: 100 }).escape(),
-    body("email").trim().isEmail().normalizeEmail(),
-    body("blog_title").trim().isLength({ min: 3, max: 255 }).escape(),
-    body("category").trim().isLength({ min: 1, max: 100 }).escape(),
+  validate(
+    body("name", "name must be 2 to 100 characters")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .escape(),
+    body("email", "email must be a valid email address")
+      .trim()
+      .isEmail()
+      .normalizeEmail(),
+    body("blog_title", "blog_title must be 3 to 255 characters")
+      .trim()
+      .isLength({ min: 3, max: 255 })
+      .escape(),
+    body("category")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("category is required")
+      .bail()
+      .custom(async (value) => {
+        if (!(await resolveCategory(db, value))) {
+          throw new Error("Unknown category");
+        }
+        return true;
+      }),
     body("blog_content")
       .trim()
       .isLength({ min: 10, max: 2000 })
+      .withMessage("blog_content must be 10 to 2000 characters")
+      .bail()
       .custom((val) => {
         const allowed =
           /^(https?:\/\/)?(docs\.google\.com|drive\.google\.com)\/.+$/i;
@@ -30,24 +80,43 @@ router.post(
           throw new Error("blog_content must be a Google Docs or Drive link");
         }
         return true;
-      }),
-  ],
+      })
+  ),
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
-      const { name, email, blog_title, category, blog_content } = req.body;
+      const { name, email, blog_title, blog_content } = req.body;
+      const category = await resolveCategory(db, req.body.category);
       const id = uuidv4();
 
-      await db.query(
-        `INSERT INTO blog_submissions 
-          (id, name, email, blog_title, category, blog_content, status, submission_time)
-         VALUES (?, ?, ?, ?, ?, ?, 'Received', NOW())`,
-        [id, name, email, blog_title, category, blog_content]
-      );
+      await withTransaction(async (connection) => {
+        await connection.query(
+          `INSERT INTO blog_submissions 
+            (id, name, email, blog_title, category, category_id, blog_content, status, submission_time)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'Received', NOW())`,
+          [
+            id,
+            name,
+            email,
+            blog_title,
+            category.name,
+            category.id,
+            blog_content,
+          ]
+        );
+        await recordStatusChange(connection, {
+          submissionId: id,
+          from: null,
+          to: "Received",
+        });
+        await queueEmail(connection, {
+          to: email,
+          template: "submissionReceived",
+          data: {
+            name: unescapeSubmissionText(name),
+            blogTitle: unescapeSubmissionText(blog_title),
+          },
+        });
+      });
 
       return res.status(201).json({
         message: "Blog submission received successfully",
@@ -55,127 +124,446 @@ router.post(
       });
     } catch (error) {
       console.error("Error submitting blog:", error);
-      return res.status(500).json({ error: "Failed to submit blog" });
+      return sendError(res, 500, "Failed to submit blog");
     }
   }
 );
 
 // Get all submissions (for admin)
-router.get("/", async (req, res) => {
-  try {
-    const status = req.query.status; // Optional filter by status
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    let query = "SELECT * FROM blog_submissions";
-    let countQuery = "SELECT COUNT(*) as total FROM blog_submissions";
-    const params = [];
-
-    // Filter by status if provided
-    if (status && ["Received", "Accepted", "Published"].includes(status)) {
-      query += " WHERE status = ?";
-      countQuery += " WHERE status = ?";
-      params.push(status);
-    }
+router.get(
+  "/",
+  requireModerator,
+  validate(
+    oneOf(query, "status", SUBMISSION_STATUSES).optional({ values: "falsy" }),
+    query("reviewer", 'reviewer must be a user id or "me"')
+      .optional({ values: "falsy" })
+      .if((value) => value !== "me")
+      .isUUID(),
+    paginationRules()
+  ),
+  async (req, res) => {
+    try {
+      const { status, reviewer } = getQuery(req); // Optional filters; reviewer may be "me"
+      const { page, limit, offset } = getPagination(req);
 
-    // Add ordering and pagination
-    query += " ORDER BY submission_time DESC LIMIT ? OFFSET ?";
-    params.push(limit, offset);
-
-    // Get total count
-    const [countResult] = await db.query(countQuery, status ? [status] : []);
-    const totalSubmissions = countResult[0].total;
-    const totalPages = Math.ceil(totalSubmissions / limit);
-
-    // Get submissions
-    const [submissions] = await db.query(query, params);
-
-    res.json({
-      submissions,
-      pagination: {
-        currentPage: page,
-        totalPages: totalPages,
-        totalSubmissions: totalSubmissions,
-        limit: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching submissions:", error);
-    res.status(500).json({ error: "Failed to fetch submissions" });
-  }
-});
+      const whereConditions = [];
+      const filterParams = [];
+
+      // Filter by status if provided
+      if (status) {
+        whereConditions.push("status = ?");
+        filterParams.push(status);
+      }
+
+      // Filter by assigned reviewer if provided
+      if (reviewer) {
+        whereConditions.push("reviewer_id = ?");
+        filterParams.push(reviewer === "me" ? req.user.id : reviewer);
+      }
+
+      const whereClause =
+        whereConditions.length > 0
+          ? ` WHERE ${whereConditions.join(" AND ")}`
+          : "";
 
-// Get single submission by ID
-router.get("/:id", async (req, res) => {
-  try {
-    const [submissions] = await db.query(
-      "SELECT * FROM blog_submissions WHERE id = ?",
-      [req.params.id]
-    );
+      // Get total count
+      const [countResult] = await db.query(
+        `SELECT COUNT(*) as total FROM blog_submissions${whereClause}`,
+        filterParams
+      );
+      const totalSubmissions = countResult[0].total;
+      const totalPages = Math.ceil(totalSubmissions / limit);
+
+      // Get submissions
+      const [submissions] = await db.query(
+        `SELECT * FROM blog_submissions${whereClause}
+       ORDER BY submission_time DESC LIMIT ? OFFSET ?`,
+        [...filterParams, limit, offset]
+      );
 
-    if (submissions.length === 0) {
-      return res.status(404).json({ error: "Submission not found" });
+      res.json({
+        submissions,
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalSubmissions: totalSubmissions,
+          limit: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching submissions:", error);
+      sendError(res, 500, "Failed to fetch submissions");
     }
+  }
+);
 
-    res.json(submissions[0]);
-  } catch (error) {
-    console.error("Error fetching submission:", error);
-    res.status(500).json({ error: "Failed to fetch submission" });
+// Get single submission by ID (with reviewer, notes and status history)
+router.get(
+  "/:id",
+  requireModerator,
+  validate(uuidParam()),
+  async (req, res) => {
+    try {
+      const [submissions] = await db.query(
+        `SELECT s.*, u.name AS reviewer_name
+       FROM blog_submissions s
+       LEFT JOIN users u ON u.id = s.reviewer_id
+       WHERE s.id = ?`,
+        [req.params.id]
+      );
+
+      if (submissions.length === 0) {
+        return sendError(res, 404, "Submission not found");
+      }
+
+      const [history] = await db.query(
+        `SELECT h.id, h.from_status, h.to_status, h.comment, h.created_at,
+              h.changed_by, u.name AS changed_by_name
+       FROM submission_status_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.submission_id = ?
+       ORDER BY h.created_at ASC`,
+        [req.params.id]
+      );
+
+      const [notes] = await db.query(
+        `SELECT n.id, n.note, n.created_at, n.author_id, u.name AS author_name
+       FROM submission_notes n
+       LEFT JOIN users u ON u.id = n.author_id
+       WHERE n.submission_id = ?
+       ORDER BY n.created_at ASC`,
+        [req.params.id]
+      );
+
+      const submission = submissions[0];
+
+      res.json({
+        ...submission,
+        allowed_transitions: SUBMISSION_TRANSITIONS[submission.status] || [],
+        history,
+        notes,
+      });
+    } catch (error) {
+      console.error("Error fetching submission:", error);
+      sendError(res, 500, "Failed to fetch submission");
+    }
   }
-});
+);
 
 // Update submission status
-router.patch("/:id/status", async (req, res) => {
-  try {
-    const { status } = req.body;
-    const submissionId = req.params.id;
-
-    // Validate status
-    if (!["Received", "Accepted", "Published"].includes(status)) {
-      return res.status(400).json({
-        error: "Invalid status. Must be 'Received', 'Accepted', or 'Published'",
+router.patch(
+  "/:id/status",
+  requireModerator,
+  validate(
+    uuidParam(),
+    oneOf(body, "status", SUBMISSION_STATUSES),
+    // Stored in submission_status_history.comment, a VARCHAR(500)
+    body("comment", "comment must be text of at most 500 characters")
+      .optional({ values: "null" })
+      .isString()
+      .isLength({ max: 500 })
+  ),
+  async (req, res) => {
+    try {
+      const { status, comment } = req.body;
+      const submissionId = req.params.id;
+
+      const result = await withTransaction(async (connection) => {
+        const [submissions] = await connection.query(
+          "SELECT status, name, email, blog_title FROM blog_submissions WHERE id = ? FOR UPDATE",
+          [submissionId]
+        );
+
+        if (submissions.length === 0) {
+          return { status: 404, error: "Submission not found" };
+        }
+
+        const submission = submissions[0];
+        const currentStatus = submission.status;
+
+        if (!canTransition(currentStatus, status)) {
+          return {
+            status: 409,
+            error: `Cannot move a submission from '${currentStatus}' to '${status}'`,
+            code: "INVALID_TRANSITION",
+            details: {
+              allowed_transitions: SUBMISSION_TRANSITIONS[currentStatus] || [],
+            },
+          };
+        }
+
+        await connection.query(
+          "UPDATE blog_submissions SET status = ? WHERE id = ?",
+          [status, submissionId]
+        );
+        await recordStatusChange(connection, {
+          submissionId,
+          from: currentStatus,
+          to: status,
+          changedBy: req.user.id,
+          comment: comment || null,
+        });
+        await queueEmail(connection, {
+          to: submission.email,
+          template: "submissionStatusChanged",
+          data: {
+            name: unescapeSubmissionText(submission.name),
+            blogTitle: unescapeSubmissionText(submission.blog_title),
+            status,
+            comment: comment || null,
+          },
+        });
+
+        return {};
+      });
+
+      if (result.error) {
+        return sendError(res, result.status, result.error, {
+          code: result.code,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        message: "Submission status updated successfully",
+        status: status,
       });
+    } catch (error) {
+      console.error("Error updating submission status:", error);
+      sendError(res, 500, "Failed to update submission status");
     }
+  }
+);
 
-    const [result] = await db.query(
-      "UPDATE blog_submissions SET status = ? WHERE id = ?",
-      [status, submissionId]
-    );
+// Assign or clear the reviewer of a submission
+router.patch(
+  "/:id/reviewer",
+  requireModerator,
+  validate(
+    uuidParam(),
+    body("reviewer_id", "reviewer_id must be a user id or null")
+      .optional({ values: "falsy" })
+      .isUUID()
+  ),
+  async (req, res) => {
+    try {
+      const reviewerId = req.body.reviewer_id || null;
+
+      if (reviewerId) {
+        const [reviewers] = await db.query(
+          "SELECT id FROM users WHERE id = ? AND is_active = 1 AND role IN (?)",
+          [reviewerId, MODERATOR_ROLES]
+        );
+
+        if (reviewers.length === 0) {
+          return sendError(
+            res,
+            400,
+            "Reviewer must be an active editor or admin"
+          );
+        }
+      }
+
+      const [result] = await db.query(
+        "UPDATE blog_submissions SET reviewer_id = ? WHERE id = ?",
+        [reviewerId, req.params.id]
+      );
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Submission not found" });
+      if (result.affectedRows === 0) {
+        return sendError(res, 404, "Submission not found");
+      }
+
+      res.json({
+        message: reviewerId ? "Reviewer assigned" : "Reviewer removed",
+        reviewer_id: reviewerId,
+      });
+    } catch (error) {
+      console.error("Error assigning reviewer:", error);
+      sendError(res, 500, "Failed to assign reviewer");
     }
+  }
+);
+
+// Add an internal note to a submission
+router.post(
+  "/:id/notes",
+  requireModerator,
+  validate(
+    uuidParam(),
+    body("note", "note must be 1 to 5000 characters")
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+  ),
+  async (req, res) => {
+    try {
+      const [submissions] = await db.query(
+        "SELECT id FROM blog_submissions WHERE id = ?",
+        [req.params.id]
+      );
+
+      if (submissions.length === 0) {
+        return sendError(res, 404, "Submission not found");
+      }
+
+      const note = {
+        id: uuidv4(),
+        note: req.body.note,
+        author_id: req.user.id,
+        author_name: req.user.name,
+        created_at: new Date(),
+      };
+
+      await db.query(
+        "INSERT INTO submission_notes (id, submission_id, author_id, note, created_at) VALUES (?, ?, ?, ?, ?)",
+        [note.id, req.params.id, note.author_id, note.note, note.created_at]
+      );
 
-    res.json({
-      message: "Submission status updated successfully",
-      status: status,
-    });
-  } catch (error) {
-    console.error("Error updating submission status:", error);
-    res.status(500).json({ error: "Failed to update submission status" });
+      res.status(201).json({ message: "Note added successfully", note });
+    } catch (error) {
+      console.error("Error adding submission note:", error);
+      sendError(res, 500, "Failed to add note");
+    }
   }
-});
+);
 
-// Delete submission
-router.delete("/:id", async (req, res) => {
-  try {
-    const [result] = await db.query(
-      "DELETE FROM blog_submissions WHERE id = ?",
-      [req.params.id]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Submission not found" });
+// Create a draft blog from an accepted submission
+router.post(
+  "/:id/convert",
+  requireModerator,
+  validate(uuidParam()),
+  async (req, res) => {
+    try {
+      const result = await withTransaction(async (connection) => {
+        const [submissions] = await connection.query(
+          "SELECT * FROM blog_submissions WHERE id = ? FOR UPDATE",
+          [req.params.id]
+        );
+
+        if (submissions.length === 0) {
+          return { status: 404, error: "Submission not found" };
+        }
+
+        const submission = submissions[0];
+
+        if (submission.blog_id) {
+          return {
+            status: 409,
+            error: "Submission has already been converted",
+            code: "ALREADY_CONVERTED",
+            details: { blogId: submission.blog_id },
+          };
+        }
+
+        if (submission.status !== "Accepted") {
+          return {
+            status: 409,
+            error: "Only accepted submissions can be converted",
+          };
+        }
+
+        const blogId = uuidv4();
+        const title = unescapeSubmissionText(submission.blog_title);
+        const authors = [unescapeSubmissionText(submission.name)];
+        // Older submissions stored free text; keep it if no category matches
+        const category = (await resolveCategory(
+          connection,
+          submission.category_id ?? unescapeSubmissionText(submission.category)
+        )) || {
+          id: null,
+          name: unescapeSubmissionText(submission.category),
+        };
+
+        const bodyColumns = buildBodyColumns(
+          buildSubmissionDraftBody(submission),
+          "html"
+        );
+
+        await connection.query(
+          `INSERT INTO blogs
+         (id, slug, title, published_date, category, category_id, authors, featured_image, body, body_source, body_format, toc, excerpt, word_count, reading_time, comments_count, created_by, status, publish_at, search_meta)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, 0, ?, 'draft', NULL, ?)`,
+          [
+            blogId,
+            await generateUniqueSlug(connection, title),
+            title,
+            dayjs().format("YYYY-MM-DD"),
+            category.name,
+            category.id,
+            JSON.stringify(authors),
+            bodyColumns.body,
+            bodyColumns.body_source,
+            bodyColumns.body_format,
+            bodyColumns.toc,
+            bodyColumns.excerpt,
+            bodyColumns.word_count,
+            bodyColumns.reading_time,
+            req.user.id,
+            buildSearchMeta({ category: category.name, authors }),
+          ]
+        );
+        await setBlogAuthors(
+          connection,
+          blogId,
+          (
+            await resolveBlogAuthors(connection, { names: authors })
+          ).authors
+        );
+        await recordRevision(
+          connection,
+          blogId,
+          req.user.id,
+          `Created from submission ${submission.id}`
+        );
+        await connection.query(
+          "UPDATE blog_submissions SET blog_id = ? WHERE id = ?",
+          [blogId, submission.id]
+        );
+
+        return { blogId };
+      });
+
+      if (result.error) {
+        return sendError(res, result.status, result.error, {
+          code: result.code,
+          details: result.details,
+        });
+      }
+
+      res.status(201).json({
+        message: "Draft blog created from submission",
+        blogId: result.blogId,
+      });
+    } catch (error) {
+      console.error("Error converting submission:", error);
+      sendError(res, 500, "Failed to convert submission");
     }
+  }
+);
+
+// Delete submission
+router.delete(
+  "/:id",
+  requireModerator,
+  validate(uuidParam()),
+  async (req, res) => {
+    try {
+      const [result] = await db.query(
+        "DELETE FROM blog_submissions WHERE id = ?",
+        [req.params.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return sendError(res, 404, "Submission not found");
+      }
 
-    res.json({ message: "Submission deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting submission:", error);
-    res.status(500).json({ error: "Failed to delete submission" });
+      res.json({ message: "Submission deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting submission:", error);
+      sendError(res, 500, "Failed to delete submission");
+    }
   }
-});
+);
 
 export default router;
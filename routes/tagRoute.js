@@ -0,0 +1,151 @@
+import { Router } from "express";
+const router = Router();
+import { body, query } from "express-validator";
+import db from "../config/db.js";
+import { requireRole } from "../middleware/auth.js";
+import { MODERATOR_ROLES, WRITER_ROLES } from "../utils/auth.js";
+import { PUBLIC_BLOG_CONDITION } from "../utils/blogQueries.js";
+import { slugifyTitle } from "../utils/slugs.js";
+import { MAX_TAG_LENGTH } from "../utils/taxonomy.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import { getQuery, intParam } from "../utils/validation.js";
+
+const requireWriter = requireRole(...WRITER_ROLES);
+const requireModerator = requireRole(...MODERATOR_ROLES);
+
+const tagNameValidator = body(
+  "name",
+  `name must be 1 to ${MAX_TAG_LENGTH} characters`
+)
+  .trim()
+  .isLength({ min: 1, max: MAX_TAG_LENGTH });
+
+// Get all tags with public post counts; ?q= filters by name prefix
+router.get(
+  "/",
+  validate(
+    query("q", `q must be at most ${MAX_TAG_LENGTH} characters`)
+      .default("")
+      .isString()
+      .trim()
+      .isLength({ max: MAX_TAG_LENGTH })
+  ),
+  async (req, res) => {
+    try {
+      const { q } = getQuery(req);
+
+      const [tags] = await db.query(
+        `SELECT t.id, t.name, t.slug,
+              (SELECT COUNT(*) FROM blog_tags bt
+               JOIN blogs ON blogs.id = bt.blog_id
+               WHERE bt.tag_id = t.id AND ${PUBLIC_BLOG_CONDITION}) AS post_count
+       FROM tags t
+       ${q ? "WHERE t.name LIKE ?" : ""}
+       ORDER BY t.name ASC`,
+        q ? [`${q.replace(/[\\%_]/g, "\\$&")}%`] : []
+      );
+
+      res.json({ tags });
+    } catch (error) {
+      console.error("Error fetching tags:", error);
+      sendError(res, 500, "Failed to fetch tags");
+    }
+  }
+);
+
+// Create a tag
+router.post(
+  "/",
+  requireWriter,
+  validate(tagNameValidator),
+  async (req, res) => {
+    try {
+      const { name } = req.body;
+      const slug = slugifyTitle(name);
+
+      const [existing] = await db.query(
+        "SELECT id, name, slug FROM tags WHERE slug = ? OR name = ?",
+        [slug, name]
+      );
+      if (existing.length > 0) {
+        return sendError(res, 409, "Tag already exists", {
+          details: { tag: existing[0] },
+        });
+      }
+
+      const [result] = await db.query(
+        "INSERT INTO tags (name, slug) VALUES (?, ?)",
+        [name, slug]
+      );
+
+      res.status(201).json({
+        message: "Tag created successfully",
+        tag: { id: result.insertId, name, slug },
+      });
+    } catch (error) {
+      console.error("Error creating tag:", error);
+      sendError(res, 500, "Failed to create tag");
+    }
+  }
+);
+
+// Rename a tag
+router.put(
+  "/:id",
+  requireModerator,
+  validate(intParam(), tagNameValidator),
+  async (req, res) => {
+    try {
+      const { name } = req.body;
+      const slug = slugifyTitle(name);
+
+      const [existing] = await db.query(
+        "SELECT id FROM tags WHERE (slug = ? OR name = ?) AND id <> ?",
+        [slug, name, req.params.id]
+      );
+      if (existing.length > 0) {
+        return sendError(res, 409, "Tag already exists");
+      }
+
+      const [result] = await db.query(
+        "UPDATE tags SET name = ?, slug = ? WHERE id = ?",
+        [name, slug, req.params.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return sendError(res, 404, "Tag not found");
+      }
+
+      res.json({ message: "Tag updated successfully", tag: { name, slug } });
+    } catch (error) {
+      console.error("Error updating tag:", error);
+      sendError(res, 500, "Failed to update tag");
+    }
+  }
+);
+
+// Delete a tag and remove it from every post
+router.delete(
+  "/:id",
+  requireModerator,
+  validate(intParam()),
+  async (req, res) => {
+    try {
+      const [result] = await db.query("DELETE FROM tags WHERE id = ?", [
+        req.params.id,
+      ]);
+
+      if (result.affectedRows === 0) {
+        return sendError(res, 404, "Tag not found");
+      }
+
+      res.json({ message: "Tag deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting tag:", error);
+      sendError(res, 500, "Failed to delete tag");
+    }
+  }
+);
+
+export default router;
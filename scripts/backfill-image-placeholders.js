@@ -0,0 +1,53 @@
+// Add a blur placeholder and dominant colour to featured images uploaded before
+// they were computed on upload:
+//   npm run backfill-image-placeholders
+import db from "../config/db.js";
+import { getImageUrl } from "../config/storage.js";
+import { formatFeaturedImage } from "../utils/blogFormatter.js";
+import { getImagePlaceholder } from "../utils/imageProcessor.js";
+
+try {
+  const [blogs] = await db.query(
+    `SELECT id, featured_image FROM blogs
+     WHERE featured_image IS NOT NULL
+       AND JSON_EXTRACT(featured_image, '$.placeholder') IS NULL`
+  );
+
+  let updated = 0;
+  for (const blog of blogs) {
+    const image = formatFeaturedImage(blog.featured_image);
+    if (!image?.public_id) continue;
+
+    try {
+      // A small rendition is plenty for a 16px preview
+      const response = await fetch(
+        getImageUrl(image, { width: 64, format: "png" })
+      );
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const { placeholder, dominant_color } = await getImagePlaceholder(
+        Buffer.from(await response.arrayBuffer())
+      );
+      await db.query(
+        `UPDATE blogs
+         SET featured_image = JSON_SET(featured_image, '$.placeholder', ?, '$.dominant_color', ?),
+             updated_at = updated_at
+         WHERE id = ?`,
+        [placeholder, dominant_color, blog.id]
+      );
+      updated++;
+      console.log(`${blog.id} → ${dominant_color}`);
+    } catch (error) {
+      console.error(`⚠️  Skipped ${blog.id}: ${error.message}`);
+    }
+  }
+
+  console.log(
+    `✅ Added placeholders to ${updated} of ${blogs.length} image(s)`
+  );
+} catch (err) {
+  console.error("❌ Failed to backfill image placeholders:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
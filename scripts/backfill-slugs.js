@@ -0,0 +1,56 @@
+// Give every post, category and author without a slug one generated from its title or name:
+//   npm run backfill-slugs
+import db from "../config/db.js";
+import { generateUniqueSlug } from "../utils/slugs.js";
+import { generateCategorySlug } from "../utils/taxonomy.js";
+import { generateAuthorSlug } from "../utils/authors.js";
+
+try {
+  const [blogs] = await db.query(
+    "SELECT id, title FROM blogs WHERE slug IS NULL ORDER BY created_at ASC"
+  );
+
+  for (const blog of blogs) {
+    const slug = await generateUniqueSlug(db, blog.title, blog.id);
+    await db.query(
+      "UPDATE blogs SET slug = ?, updated_at = updated_at WHERE id = ?",
+      [slug, blog.id]
+    );
+    console.log(`${blog.id} → ${slug}`);
+  }
+
+  const [categories] = await db.query(
+    "SELECT id, name FROM categories WHERE slug IS NULL ORDER BY id ASC"
+  );
+
+  for (const category of categories) {
+    const slug = await generateCategorySlug(db, category.name, category.id);
+    await db.query("UPDATE categories SET slug = ? WHERE id = ?", [
+      slug,
+      category.id,
+    ]);
+    console.log(`category ${category.name} → ${slug}`);
+  }
+
+  const [authors] = await db.query(
+    "SELECT id, name FROM authors WHERE slug IS NULL ORDER BY id ASC"
+  );
+
+  for (const author of authors) {
+    const slug = await generateAuthorSlug(db, author.name, author.id);
+    await db.query("UPDATE authors SET slug = ? WHERE id = ?", [
+      slug,
+      author.id,
+    ]);
+    console.log(`author ${author.name} → ${slug}`);
+  }
+
+  console.log(
+    `✅ Backfilled ${blogs.length} post, ${categories.length} category and ${authors.length} author slug(s)`
+  );
+} catch (err) {
+  console.error("❌ Failed to backfill slugs:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
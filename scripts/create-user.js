@@ -0,0 +1,48 @@
+// Create a staff account from the command line, e.g. the first admin:
+//   npm run create-user -- --email admin@example.com --name Admin --role admin --password <password>
+import { parseArgs } from "util";
+import { v4 as uuidv4 } from "uuid";
+import db from "../config/db.js";
+import { ROLES, hashPassword } from "../utils/auth.js";
+
+const { values } = parseArgs({
+  options: {
+    email: { type: "string" },
+    name: { type: "string" },
+    password: { type: "string" },
+    role: { type: "string", default: ROLES.AUTHOR },
+  },
+});
+
+const { email, name, password, role } = values;
+
+if (!email || !name || !password) {
+  console.error(
+    "Usage: --email <email> --name <name> --password <password> [--role admin|editor|author]"
+  );
+  process.exit(1);
+}
+
+if (!Object.values(ROLES).includes(role)) {
+  console.error(`Invalid role "${role}"`);
+  process.exit(1);
+}
+
+if (password.length < 8) {
+  console.error("Password must be at least 8 characters");
+  process.exit(1);
+}
+
+try {
+  const id = uuidv4();
+  await db.query(
+    "INSERT INTO users (id, email, name, password_hash, role) VALUES (?, ?, ?, ?, ?)",
+    [id, email.trim().toLowerCase(), name, await hashPassword(password), role]
+  );
+  console.log(`✅ Created ${role} ${email} (${id})`);
+} catch (err) {
+  console.error("❌ Failed to create user:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
@@ -0,0 +1,90 @@
+// Apply or revert the schema migrations in migrations/:
+//   npm run migrate                       apply every pending migration
+//   npm run migrate -- up --to 12         apply pending migrations up to 012
+//   npm run migrate -- down [--steps 2]   revert the last migration (or last 2)
+//   npm run migrate -- status             list applied and pending migrations
+//   npm run migrate -- baseline 16        record 000-016 as applied without
+//                                         running them (hand-built databases)
+import { parseArgs } from "util";
+import {
+  baselineMigrations,
+  getAppliedMigrations,
+  loadMigrations,
+  migrateDown,
+  migrateUp,
+  migrationLabel,
+  openMigrationConnection,
+} from "../utils/migrations.js";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    to: { type: "string" },
+    steps: { type: "string", default: "1" },
+  },
+});
+
+const [command = "up", argument] = positionals;
+const COMMANDS = ["up", "down", "status", "baseline"];
+
+if (!COMMANDS.includes(command)) {
+  console.error(
+    "Usage: migrate [up [--to <version>] | down [--steps <n>] | status | baseline <version>]"
+  );
+  process.exit(1);
+}
+
+const parseNumber = (value, flag) => {
+  if (!/^\d+$/.test(value || "")) {
+    console.error(`${flag} must be a whole number`);
+    process.exit(1);
+  }
+  return parseInt(value, 10);
+};
+
+const to = values.to ? parseNumber(values.to, "--to") : Infinity;
+const steps = parseNumber(values.steps, "--steps");
+const baselineVersion =
+  command === "baseline" ? parseNumber(argument, "baseline") : null;
+
+const log = (line) => console.log(line);
+let connection;
+
+try {
+  connection = await openMigrationConnection();
+
+  if (command === "up") {
+    const applied = await migrateUp(connection, { to, log });
+    console.log(
+      applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : "✅ Database is up to date"
+    );
+  } else if (command === "down") {
+    const reverted = await migrateDown(connection, { steps, log });
+    console.log(`✅ Reverted ${reverted.length} migration(s)`);
+  } else if (command === "baseline") {
+    const marked = await baselineMigrations(connection, baselineVersion);
+    for (const migration of marked) {
+      console.log(`= ${migrationLabel(migration)}`);
+    }
+    console.log(`✅ Recorded ${marked.length} migration(s) as applied`);
+  } else {
+    const applied = new Map(
+      (await getAppliedMigrations(connection)).map((row) => [row.version, row])
+    );
+    for (const migration of await loadMigrations()) {
+      const row = applied.get(migration.version);
+      console.log(
+        `${row ? "✔" : " "} ${migrationLabel(migration)}${
+          row ? `  (${row.applied_at.toISOString()})` : ""
+        }`
+      );
+    }
+  }
+} catch (err) {
+  console.error("❌ Migration failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  await connection?.end();
+}
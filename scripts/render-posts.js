@@ -0,0 +1,32 @@
+// Re-render every post body from its source: sanitized HTML, excerpt and reading stats.
+// Run after migration 014, and again whenever the sanitizer allow-list changes:
+//   npm run render-posts
+import db from "../config/db.js";
+import { buildBodyColumns } from "../utils/content.js";
+
+try {
+  const [blogs] = await db.query(
+    "SELECT id FROM blogs ORDER BY created_at ASC"
+  );
+
+  for (const { id } of blogs) {
+    const [rows] = await db.query(
+      "SELECT body, body_source, body_format FROM blogs WHERE id = ?",
+      [id]
+    );
+    const { body, body_source, body_format } = rows[0];
+
+    // Rendering is not an edit, so keep updated_at as it was
+    await db.query("UPDATE blogs SET ?, updated_at = updated_at WHERE id = ?", [
+      buildBodyColumns(body_source ?? body, body_format),
+      id,
+    ]);
+  }
+
+  console.log(`✅ Rendered ${blogs.length} post(s)`);
+} catch (err) {
+  console.error("❌ Failed to render posts:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
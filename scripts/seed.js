@@ -0,0 +1,347 @@
+// Fill an empty development database with sample categories, authors, posts,
+// comments and submissions. Run after `npm run migrate`:
+//   npm run seed
+import { v4 as uuidv4 } from "uuid";
+import dayjs from "dayjs";
+import db, { withTransaction } from "../config/db.js";
+import { buildBodyColumns } from "../utils/content.js";
+import { buildSearchMeta } from "../utils/search.js";
+import { generateUniqueSlug } from "../utils/slugs.js";
+import { recordRevision } from "../utils/revisions.js";
+import { refreshCommentsCount } from "../utils/comments.js";
+import { recordStatusChange } from "../utils/submissions.js";
+import { generateAuthorSlug, setBlogAuthors } from "../utils/authors.js";
+import {
+  generateCategorySlug,
+  resolveCategory,
+  setBlogTags,
+} from "../utils/taxonomy.js";
+
+const CATEGORIES = [
+  { name: "Programming", description: "Code, tools and how we build things." },
+  { name: "Campus Life", description: "Clubs, events and life on campus." },
+  { name: "Research", description: "Projects and papers from our labs." },
+];
+
+const AUTHORS = [
+  {
+    name: "Nadia Rahman",
+    bio: "Final-year CSE student who writes about web development.",
+    social_links: { github: "https://github.com/example" },
+  },
+  {
+    name: "Arif Hossain",
+    bio: "Runs the photography club and the campus newsletter.",
+    social_links: null,
+  },
+  {
+    name: "Tania Akter",
+    bio: "Research assistant in the machine learning lab.",
+    social_links: { website: "https://example.com" },
+  },
+];
+
+// daysAgo dates the post (negative: publishes in the future); it is also
+// created then, or now for scheduled posts
+const POSTS = [
+  {
+    title: "Getting started with Express 5",
+    category: "Programming",
+    authors: ["Nadia Rahman"],
+    tags: ["node", "express"],
+    status: "published",
+    daysAgo: 30,
+    format: "markdown",
+    body: `Express 5 is finally stable. Here is what changed.
+
+## Async errors
+
+Rejected promises in route handlers now reach the error handler.
+
+## Path syntax
+
+Wildcards must be named, for example \`/*splat\`.
+
+\`\`\`js
+app.get("/files/*path", handler);
+\`\`\``,
+  },
+  {
+    title: "A week at the robotics fair",
+    category: "Campus Life",
+    authors: ["Arif Hossain", "Nadia Rahman"],
+    tags: ["events", "robotics"],
+    status: "published",
+    daysAgo: 21,
+    format: "html",
+    body: `<p>Twelve teams, three days and one very tired line-follower.</p>
+<h2>The winners</h2>
+<p>The first-year team took the maze challenge with a robot built from spare parts.</p>`,
+  },
+  {
+    title: "Reading list: transformers from scratch",
+    category: "Research",
+    authors: ["Tania Akter"],
+    tags: ["machine learning", "reading list"],
+    status: "published",
+    daysAgo: 14,
+    format: "markdown",
+    body: `Papers and posts we recommend to new lab members.
+
+## Foundations
+
+1. *Attention Is All You Need*
+2. The annotated transformer
+
+## Going further
+
+Start a reading group; it helps.`,
+  },
+  {
+    title: "Writing SQL migrations that can be undone",
+    category: "Programming",
+    authors: ["Nadia Rahman"],
+    tags: ["mysql", "node"],
+    status: "published",
+    daysAgo: 7,
+    format: "markdown",
+    body: `Every \`up\` deserves a \`down\`.
+
+## Keep them small
+
+One change per migration makes reverting painless.`,
+  },
+  {
+    title: "Photo walk around the old library",
+    category: "Campus Life",
+    authors: ["Arif Hossain"],
+    tags: ["photography", "events"],
+    status: "scheduled",
+    daysAgo: -3,
+    format: "html",
+    body: "<p>Join us next week for an evening photo walk.</p>",
+  },
+  {
+    title: "Notes on our dataset cleaning pipeline",
+    category: "Research",
+    authors: ["Tania Akter"],
+    tags: ["machine learning"],
+    status: "draft",
+    daysAgo: 0,
+    format: "markdown",
+    body: "Work in progress: deduplication, then labelling checks.",
+  },
+];
+
+// post is an index into POSTS; replies point at their parent by index
+const COMMENTS = [
+  {
+    post: 0,
+    name: "Rafi",
+    email: "rafi@example.com",
+    text: "Great summary, the async error handling alone is worth upgrading for.",
+    status: "approved",
+  },
+  {
+    post: 0,
+    replyTo: 0,
+    name: "Nadia Rahman",
+    email: "nadia@example.com",
+    text: "Agreed, it removed a lot of wrappers from our routes.",
+    status: "approved",
+  },
+  {
+    post: 1,
+    name: "Mim",
+    email: "mim@example.com",
+    text: "Will there be a fair next semester too?",
+    status: "approved",
+  },
+  {
+    post: 2,
+    name: "Sakib",
+    email: "sakib@example.com",
+    text: "Could you add some introductory videos?",
+    status: "pending",
+  },
+  {
+    post: 3,
+    name: "Buy followers",
+    email: "spam@example.com",
+    text: "Cheap followers at our site!!!",
+    status: "spam",
+  },
+];
+
+// history lists the statuses the submission moved through after "Received"
+const SUBMISSIONS = [
+  {
+    name: "Farhan Kabir",
+    email: "farhan@example.com",
+    blog_title: "How I prepared for my first hackathon",
+    category: "Programming",
+    history: [],
+  },
+  {
+    name: "Lamia Islam",
+    email: "lamia@example.com",
+    blog_title: "Volunteering at the blood donation drive",
+    category: "Campus Life",
+    history: ["Under review"],
+  },
+  {
+    name: "Tanvir Ahmed",
+    email: "tanvir@example.com",
+    blog_title: "Our undergraduate thesis on crop disease detection",
+    category: "Research",
+    history: ["Under review", "Accepted"],
+  },
+  {
+    name: "Sadia Noor",
+    email: "sadia@example.com",
+    blog_title: "Ten tips for surviving finals",
+    category: "Campus Life",
+    history: ["Under review", "Needs revision"],
+  },
+];
+
+if (process.env.NODE_ENV === "production") {
+  console.error("❌ Refusing to seed a production database");
+  process.exit(1);
+}
+
+try {
+  const [existing] = await db.query("SELECT COUNT(*) AS total FROM blogs");
+  if (existing[0].total > 0) {
+    throw new Error(
+      "the database already has posts; seed an empty development database"
+    );
+  }
+
+  await withTransaction(async (connection) => {
+    const categories = new Map();
+    for (const [index, category] of CATEGORIES.entries()) {
+      let row = await resolveCategory(connection, category.name);
+      if (!row) {
+        const [result] = await connection.query(
+          "INSERT INTO categories (name, slug, description, sort_order) VALUES (?, ?, ?, ?)",
+          [
+            category.name,
+            await generateCategorySlug(connection, category.name),
+            category.description,
+            index,
+          ]
+        );
+        row = { id: result.insertId, name: category.name };
+      }
+      categories.set(category.name, row);
+    }
+
+    const authors = new Map();
+    for (const author of AUTHORS) {
+      const [result] = await connection.query(
+        "INSERT INTO authors (name, slug, bio, social_links) VALUES (?, ?, ?, ?)",
+        [
+          author.name,
+          await generateAuthorSlug(connection, author.name),
+          author.bio,
+          author.social_links ? JSON.stringify(author.social_links) : null,
+        ]
+      );
+      authors.set(author.name, { id: result.insertId, name: author.name });
+    }
+
+    const postIds = [];
+    for (const post of POSTS) {
+      const id = uuidv4();
+      const date = dayjs().subtract(post.daysAgo, "day");
+      const category = categories.get(post.category);
+      const postAuthors = post.authors.map((name) => authors.get(name));
+      const authorNames = postAuthors.map((author) => author.name);
+
+      await connection.query("INSERT INTO blogs SET ?", [
+        {
+          id,
+          slug: await generateUniqueSlug(connection, post.title),
+          title: post.title,
+          published_date: date.format("YYYY-MM-DD"),
+          category: category.name,
+          category_id: category.id,
+          authors: JSON.stringify(authorNames),
+          ...buildBodyColumns(post.body, post.format),
+          status: post.status,
+          publish_at: post.status === "draft" ? null : date.toDate(),
+          search_meta: buildSearchMeta({
+            category: category.name,
+            authors: authorNames,
+          }),
+          created_at: dayjs()
+            .subtract(Math.max(post.daysAgo, 0), "day")
+            .toDate(),
+        },
+      ]);
+      await setBlogAuthors(connection, id, postAuthors);
+      await setBlogTags(connection, id, post.tags);
+      await recordRevision(connection, id, null, "Seed data");
+      postIds.push(id);
+    }
+
+    const commentIds = [];
+    for (const [index, comment] of COMMENTS.entries()) {
+      commentIds[index] = uuidv4();
+      await connection.query(
+        `INSERT INTO comments (id, blog_id, parent_id, name, email, text, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          commentIds[index],
+          postIds[comment.post],
+          comment.replyTo === undefined ? null : commentIds[comment.replyTo],
+          comment.name,
+          comment.email,
+          comment.text,
+          comment.status,
+        ]
+      );
+    }
+    for (const blogId of new Set(COMMENTS.map((c) => postIds[c.post]))) {
+      await refreshCommentsCount(connection, blogId);
+    }
+
+    for (const submission of SUBMISSIONS) {
+      const id = uuidv4();
+      const category = categories.get(submission.category);
+      const status = submission.history.at(-1) || "Received";
+
+      await connection.query(
+        `INSERT INTO blog_submissions
+          (id, name, email, blog_title, category, category_id, blog_content, status, submission_time)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          id,
+          submission.name,
+          submission.email,
+          submission.blog_title,
+          category.name,
+          category.id,
+          "https://docs.google.com/document/d/example",
+          status,
+        ]
+      );
+
+      let from = null;
+      for (const to of ["Received", ...submission.history]) {
+        await recordStatusChange(connection, { submissionId: id, from, to });
+        from = to;
+      }
+    }
+  });
+
+  console.log(
+    `✅ Seeded ${POSTS.length} posts, ${COMMENTS.length} comments and ${SUBMISSIONS.length} submissions`
+  );
+} catch (err) {
+  console.error("❌ Failed to seed the database:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
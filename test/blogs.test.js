@@ -0,0 +1,282 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import dayjs from "dayjs";
+import {
+  createCategory,
+  createPost,
+  createUser,
+  useTestApp,
+} from "./helpers.js";
+
+const context = useTestApp();
+
+// Seven published posts, one a day, oldest first, plus a draft
+const POSTS = [
+  { title: "Post 1", category: "Programming", tags: ["node"] },
+  { title: "Post 2", category: "Programming", tags: ["node", "express"] },
+  { title: "Post 3", category: "Programming", tags: ["express"] },
+  { title: "Post 4", category: "Programming", tags: [] },
+  { title: "Post 5", category: "Campus Life", tags: ["events"] },
+  { title: "Post 6", category: "Campus Life", tags: ["events", "node"] },
+  { title: "Post 7", category: "Campus Life", tags: [] },
+];
+
+const titles = (res) => res.body.blogs.map((blog) => blog.title);
+
+let token;
+
+before(async () => {
+  ({ token } = await createUser(context, "admin"));
+  await createCategory(context, token, "Programming");
+  await createCategory(context, token, "Campus Life");
+
+  for (const [index, post] of POSTS.entries()) {
+    await createPost(context, token, {
+      ...post,
+      published_date: dayjs()
+        .subtract(POSTS.length - index, "day")
+        .format("YYYY-MM-DD"),
+    });
+  }
+  await createPost(context, token, {
+    title: "Unfinished draft",
+    category: "Programming",
+    tags: ["node"],
+    status: "draft",
+  });
+});
+
+describe("GET /api/blog pagination", () => {
+  it("returns the newest five published posts by default", async () => {
+    const res = await request(context.app).get("/api/blog");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(titles(res), [
+      "Post 7",
+      "Post 6",
+      "Post 5",
+      "Post 4",
+      "Post 3",
+    ]);
+    assert.deepEqual(res.body.pagination, {
+      currentPage: 1,
+      totalPages: 2,
+      totalBlogs: 7,
+      limit: 5,
+      hasNextPage: true,
+      hasPrevPage: false,
+    });
+  });
+
+  it("returns the rest on the last page", async () => {
+    const res = await request(context.app).get("/api/blog?page=2");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(titles(res), ["Post 2", "Post 1"]);
+    assert.equal(res.body.pagination.hasNextPage, false);
+    assert.equal(res.body.pagination.hasPrevPage, true);
+  });
+
+  it("honours the limit parameter", async () => {
+    const res = await request(context.app).get("/api/blog?limit=3&page=3");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(titles(res), ["Post 1"]);
+    assert.equal(res.body.pagination.totalPages, 3);
+  });
+
+  it("returns an empty page past the end", async () => {
+    const res = await request(context.app).get("/api/blog?page=9");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.blogs, []);
+    assert.equal(res.body.pagination.hasNextPage, false);
+  });
+
+  it("rejects page sizes above the maximum", async () => {
+    const res = await request(context.app).get("/api/blog?limit=101");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.equal(res.body.details[0].field, "limit");
+  });
+
+  it("rejects pages below 1 and non-numeric values", async () => {
+    for (const query of ["page=0", "page=-2", "limit=abc"]) {
+      const res = await request(context.app).get(`/api/blog?${query}`);
+
+      assert.equal(res.status, 400, query);
+      assert.equal(res.body.code, "VALIDATION_FAILED", query);
+    }
+  });
+
+  it("sorts oldest first on request", async () => {
+    const res = await request(context.app).get("/api/blog?sortBy=oldest");
+
+    assert.deepEqual(titles(res), [
+      "Post 1",
+      "Post 2",
+      "Post 3",
+      "Post 4",
+      "Post 5",
+    ]);
+  });
+});
+
+describe("GET /api/blog filtering", () => {
+  it("filters by category name or slug", async () => {
+    const byName = await request(context.app)
+      .get("/api/blog")
+      .query({ category: "Campus Life" });
+    const bySlug = await request(context.app).get(
+      "/api/blog?category=campus-life"
+    );
+
+    assert.deepEqual(titles(byName), ["Post 7", "Post 6", "Post 5"]);
+    assert.deepEqual(titles(bySlug), titles(byName));
+    assert.equal(byName.body.filters.category, "Campus Life");
+  });
+
+  it("treats the All category as no filter", async () => {
+    const res = await request(context.app).get("/api/blog?category=All");
+
+    assert.equal(res.body.pagination.totalBlogs, 7);
+  });
+
+  it("matches every tag by default", async () => {
+    const res = await request(context.app).get("/api/blog?tags=node,express");
+
+    assert.deepEqual(titles(res), ["Post 2"]);
+    assert.deepEqual(res.body.filters.tags, ["node", "express"]);
+    assert.equal(res.body.filters.tagMatch, "all");
+  });
+
+  it("matches any tag with tagMatch=any", async () => {
+    const res = await request(context.app).get(
+      "/api/blog?tags=express&tags=events&tagMatch=any"
+    );
+
+    assert.deepEqual(titles(res), ["Post 6", "Post 5", "Post 3", "Post 2"]);
+  });
+
+  it("combines category and tag filters", async () => {
+    const res = await request(context.app).get(
+      "/api/blog?category=programming&tags=node"
+    );
+
+    assert.deepEqual(titles(res), ["Post 2", "Post 1"]);
+    assert.equal(res.body.pagination.totalBlogs, 2);
+  });
+
+  it("never lists drafts", async () => {
+    const res = await request(context.app).get("/api/blog?limit=50");
+
+    assert.ok(!titles(res).includes("Unfinished draft"));
+  });
+
+  it("rejects unknown sort orders", async () => {
+    const res = await request(context.app).get("/api/blog?sortBy=random");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, "sortBy");
+  });
+
+  it("returns no posts for an unknown category", async () => {
+    const res = await request(context.app).get("/api/blog?category=nothing");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.blogs, []);
+    assert.equal(res.body.pagination.totalBlogs, 0);
+  });
+});
+
+// Words too short for the full-text index are matched as substrings
+describe("GET /api/blog search without indexable words", () => {
+  it("matches a short word as text", async () => {
+    const res = await request(context.app).get("/api/blog?search=7");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(titles(res), ["Post 7"]);
+  });
+
+  it("treats LIKE wildcards literally", async () => {
+    const res = await request(context.app).get("/api/blog?search=_");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.blogs, []);
+  });
+
+  it("leaves out posts with an excluded word", async () => {
+    const res = await request(context.app).get(
+      "/api/blog?search=-7&limit=10"
+    );
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(titles(res), [
+      "Post 6",
+      "Post 5",
+      "Post 4",
+      "Post 3",
+      "Post 2",
+      "Post 1",
+    ]);
+  });
+});
+
+describe("slugs", () => {
+  it("treats dots in a slug as text when the title changes", async () => {
+    const draft = { category: "Programming", status: "draft" };
+    await createPost(context, token, { ...draft, title: "Nodexjs" });
+    const { blogId, slug } = await createPost(context, token, {
+      ...draft,
+      title: "Nodexjs",
+    });
+    assert.equal(slug, "nodexjs-2");
+
+    const res = await request(context.app)
+      .put(`/api/blog/${blogId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Node.js" });
+    assert.equal(res.status, 200);
+
+    const [blogs] = await context.db.query(
+      "SELECT slug FROM blogs WHERE id = ?",
+      [blogId]
+    );
+    assert.equal(blogs[0].slug, "node.js");
+  });
+});
+
+describe("feeds", () => {
+  it("answers a repeated request for an empty feed with 304", async () => {
+    const path = "/api/blog/feed.json?category=nothing";
+    const first = await request(context.app).get(path);
+    assert.equal(first.status, 200);
+    assert.deepEqual(JSON.parse(first.text).items, []);
+
+    const again = await request(context.app)
+      .get(path)
+      .set("If-None-Match", first.headers.etag);
+    assert.equal(again.status, 304);
+  });
+});
+
+describe("error responses", () => {
+  it("answers unknown routes with NOT_FOUND", async () => {
+    const res = await request(context.app).get("/api/nothing-here");
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+  });
+
+  it("answers malformed JSON with INVALID_JSON", async () => {
+    const res = await request(context.app)
+      .post("/api/auth/login")
+      .set("Content-Type", "application/json")
+      .send("{not json");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_JSON");
+  });
+});
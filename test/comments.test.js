@@ -0,0 +1,247 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import {
+  createCategory,
+  createPost,
+  createUser,
+  useTestApp,
+} from "./helpers.js";
+
+const context = useTestApp();
+
+let admin;
+let blogId;
+
+const COMMENT = {
+  name: "Reader",
+  email: "reader@example.com",
+  text: "Nice post!",
+};
+
+// Approve a comment the way a moderator would
+const approve = (commentId) =>
+  request(context.app)
+    .patch(`/api/blog/comments/${commentId}/status`)
+    .set("Authorization", `Bearer ${admin.token}`)
+    .send({ status: "approved" });
+
+const addComment = (fields = {}) =>
+  request(context.app)
+    .post(`/api/blog/${blogId}/comment`)
+    .send({ ...COMMENT, ...fields });
+
+before(async () => {
+  admin = await createUser(context, "admin");
+  await createCategory(context, admin.token, "Programming");
+  ({ blogId } = await createPost(context, admin.token, {
+    category: "Programming",
+  }));
+});
+
+describe("POST /api/blog/:id/comment", () => {
+  it("holds new comments for moderation", async () => {
+    const res = await addComment();
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, "Comment submitted for moderation");
+    assert.equal(res.body.comment.status, "pending");
+    assert.equal(res.body.comment.email, undefined);
+
+    const list = await request(context.app).get(`/api/blog/${blogId}/comments`);
+    assert.deepEqual(list.body.comments, []);
+    assert.equal(list.body.count, 0);
+  });
+
+  it("lists approved comments with their replies", async () => {
+    const parent = await addComment({ text: "First!" });
+    assert.equal((await approve(parent.body.comment.id)).status, 200);
+
+    const reply = await addComment({
+      name: "Author",
+      text: "Thanks",
+      parent_id: parent.body.comment.id,
+    });
+    assert.equal(reply.status, 201);
+    await approve(reply.body.comment.id);
+
+    const list = await request(context.app).get(`/api/blog/${blogId}/comments`);
+    assert.equal(list.status, 200);
+    assert.equal(list.body.count, 2);
+    assert.equal(list.body.pagination.totalComments, 1);
+    assert.equal(list.body.comments[0].text, "First!");
+    assert.equal(list.body.comments[0].replies[0].text, "Thanks");
+  });
+
+  it("leaves the post's updated_at alone", async () => {
+    await context.db.query(
+      "UPDATE blogs SET updated_at = '2024-01-01 00:00:00' WHERE id = ?",
+      [blogId]
+    );
+
+    const comment = await addComment({ text: "Not an edit" });
+    assert.equal((await approve(comment.body.comment.id)).status, 200);
+
+    const [blogs] = await context.db.query(
+      "SELECT DATE_FORMAT(updated_at, '%Y-%m-%d %T') AS updated_at FROM blogs WHERE id = ?",
+      [blogId]
+    );
+    assert.equal(blogs[0].updated_at, "2024-01-01 00:00:00");
+  });
+
+  it("requires name, email and text", async () => {
+    const res = await request(context.app)
+      .post(`/api/blog/${blogId}/comment`)
+      .send({ text: "  " });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(
+      res.body.details.map((detail) => detail.field),
+      ["name", "email", "text"]
+    );
+  });
+
+  it("rejects invalid email addresses", async () => {
+    const res = await addComment({ email: "not-an-email" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid email format");
+  });
+
+  it("rejects submissions that fill the honeypot field", async () => {
+    const res = await addComment({ website: "https://spam.example.com" });
+
+    assert.equal(res.status, 400);
+  });
+
+  it("rejects replies to comments that are not approved", async () => {
+    const pending = await addComment();
+    const res = await addComment({ parent_id: pending.body.comment.id });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Parent comment not found");
+  });
+
+  it("returns 404 for unknown posts", async () => {
+    const res = await request(context.app)
+      .post("/api/blog/00000000-0000-0000-0000-000000000000/comment")
+      .send(COMMENT);
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+  });
+
+  it("rejects post ids that are not UUIDs", async () => {
+    const res = await request(context.app)
+      .post("/api/blog/123/comment")
+      .send(COMMENT);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "id must be a UUID");
+  });
+});
+
+describe("replies under a comment that is not approved", () => {
+  it("are hidden everywhere and left out of the count", async () => {
+    const post = await createPost(context, admin.token, {
+      category: "Programming",
+    });
+    const comment = (fields) =>
+      request(context.app)
+        .post(`/api/blog/${post.blogId}/comment`)
+        .send({ ...COMMENT, ...fields });
+
+    const parent = await comment({ text: "Parent" });
+    await approve(parent.body.comment.id);
+    const reply = await comment({
+      text: "Reply",
+      parent_id: parent.body.comment.id,
+    });
+    await approve(reply.body.comment.id);
+
+    const rejected = await request(context.app)
+      .patch(`/api/blog/comments/${parent.body.comment.id}/status`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ status: "rejected" });
+    assert.equal(rejected.status, 200);
+
+    const blog = await request(context.app).get(`/api/blog/${post.blogId}`);
+    assert.deepEqual(blog.body.comments, []);
+    assert.equal(blog.body.comments_count, 0);
+
+    const list = await request(context.app).get(
+      `/api/blog/${post.blogId}/comments`
+    );
+    assert.deepEqual(list.body.comments, []);
+    assert.equal(list.body.count, 0);
+
+    await approve(parent.body.comment.id);
+    const restored = await request(context.app).get(
+      `/api/blog/${post.blogId}`
+    );
+    assert.equal(restored.body.comments[0].replies[0].text, "Reply");
+    assert.equal(restored.body.comments_count, 2);
+  });
+});
+
+describe("DELETE /api/blog/:blogId/comment/:commentId", () => {
+  it("requires a moderator", async () => {
+    const comment = await addComment();
+    const path = `/api/blog/${blogId}/comment/${comment.body.comment.id}`;
+    const author = await createUser(context, "author");
+
+    assert.equal((await request(context.app).delete(path)).status, 401);
+    assert.equal(
+      (
+        await request(context.app)
+          .delete(path)
+          .set("Authorization", `Bearer ${author.token}`)
+      ).status,
+      403
+    );
+  });
+
+  it("deletes a thread with its replies and updates the count", async () => {
+    const parent = await addComment({ text: "Delete me" });
+    await approve(parent.body.comment.id);
+    const reply = await addComment({
+      text: "And me",
+      parent_id: parent.body.comment.id,
+    });
+    await approve(reply.body.comment.id);
+
+    const before = await request(context.app).get(
+      `/api/blog/${blogId}/comments`
+    );
+
+    const res = await request(context.app)
+      .delete(`/api/blog/${blogId}/comment/${parent.body.comment.id}`)
+      .set("Authorization", `Bearer ${admin.token}`);
+    assert.equal(res.status, 200);
+
+    const after = await request(context.app).get(
+      `/api/blog/${blogId}/comments`
+    );
+    assert.equal(after.body.count, before.body.count - 2);
+    assert.ok(
+      !after.body.comments.some(
+        (comment) => comment.id === parent.body.comment.id
+      )
+    );
+  });
+
+  it("returns 404 for unknown comments", async () => {
+    const res = await request(context.app)
+      .delete(
+        `/api/blog/${blogId}/comment/00000000-0000-0000-0000-000000000000`
+      )
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, {
+      error: "Comment not found",
+      code: "NOT_FOUND",
+    });
+  });
+});
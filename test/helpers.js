@@ -0,0 +1,159 @@
+// Shared setup for the integration tests. Each test file gets its own MySQL
+// database, built from migrations/ and dropped afterwards, and an in-memory
+// image store in place of Cloudinary.
+import "dotenv/config";
+import { after, before } from "node:test";
+import request from "supertest";
+import { v4 as uuidv4 } from "uuid";
+import dayjs from "dayjs";
+import sharp from "sharp";
+import { checkResponses, createResponseValidator } from "./openapiValidator.js";
+
+const database = `${process.env.TEST_DB_NAME || "camblog_test"}_${process.pid}`;
+
+// config/db.js and config/storage.js read these when first imported, so the
+// app is only loaded once they are set
+process.env.DB_NAME = database;
+process.env.STORAGE_PROVIDER = "memory";
+process.env.AUTH_SECRET ||= "test-secret";
+process.env.COMMENTS_AUTO_APPROVE_KNOWN = "false";
+// Few enough that a handful of edits prunes a post's oldest revisions
+process.env.BLOG_REVISIONS_KEPT = "3";
+
+/**
+ * Create the test database, load the app and drop the database once the
+ * file's tests are done. Call at the top of every test file. Responses are
+ * checked against the OpenAPI document, and the file fails at the end if
+ * any did not match.
+ * @returns {Object} context whose app, db and storage are set by the time
+ *   the tests run
+ */
+export const useTestApp = () => {
+  const context = {};
+  const mismatches = [];
+  let migrations;
+
+  before(async () => {
+    migrations = await import("../utils/migrations.js");
+    const connection = await migrations.openMigrationConnection(database);
+    try {
+      await migrations.migrateUp(connection);
+    } finally {
+      await connection.end();
+    }
+
+    const app = (await import("../app.js")).default;
+    const openApiDocument = (await import("../openapi/index.js")).default;
+    context.app = checkResponses(
+      app,
+      createResponseValidator(openApiDocument),
+      mismatches
+    );
+    context.db = (await import("../config/db.js")).default;
+    context.storage = (await import("../config/storage.js")).default;
+  });
+
+  after(async () => {
+    await context.db?.end();
+    if (!migrations) return;
+
+    const connection = await migrations.openMigrationConnection(database);
+    try {
+      await connection.query("DROP DATABASE ??", [database]);
+    } finally {
+      await connection.end();
+    }
+
+    if (mismatches.length > 0) {
+      throw new Error(
+        `Responses not matching openapi/:\n${mismatches.join("\n")}`
+      );
+    }
+  });
+
+  return context;
+};
+
+/**
+ * Add a user with an open session
+ * @param {Object} context - From useTestApp
+ * @param {String} role - "admin", "editor" or "author"
+ * @returns {Promise<{id: String, token: String}>} token for the Authorization header
+ */
+export const createUser = async ({ db }, role = "admin") => {
+  const { signSessionToken } = await import("../utils/auth.js");
+  const id = uuidv4();
+  const sessionId = uuidv4();
+
+  await db.query(
+    "INSERT INTO users (id, email, name, password_hash, role) VALUES (?, ?, ?, ?, ?)",
+    [id, `${role}-${id}@example.com`, `Test ${role}`, "unused", role]
+  );
+  await db.query(
+    "INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?)",
+    [sessionId, id, dayjs().add(1, "hour").toDate()]
+  );
+
+  return { id, token: signSessionToken(sessionId) };
+};
+
+/**
+ * Create a category through the API
+ * @param {Object} context - From useTestApp
+ * @param {String} token - Admin or editor token
+ * @param {String} name - Category name
+ * @returns {Promise<Object>} The category as returned by the API
+ */
+export const createCategory = async ({ app }, token, name) => {
+  const res = await request(app)
+    .post("/api/categories")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ name });
+  if (res.status !== 201) {
+    throw new Error(`Creating category failed: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.category;
+};
+
+/**
+ * Create a published post through the API
+ * @param {Object} context - From useTestApp
+ * @param {String} token - Writer token
+ * @param {Object} fields - Overrides for the request body
+ * @returns {Promise<Object>} { blogId, slug, ... } as returned by the API
+ */
+export const createPost = async ({ app }, token, fields = {}) => {
+  const res = await request(app)
+    .post("/api/blog/new")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      title: "Test post",
+      published_date: dayjs().format("YYYY-MM-DD"),
+      authors: ["Test Author"],
+      body: "<p>Test body</p>",
+      status: "published",
+      ...fields,
+    });
+  if (res.status !== 201) {
+    throw new Error(`Creating post failed: ${JSON.stringify(res.body)}`);
+  }
+  return res.body;
+};
+
+/**
+ * A small generated image
+ * @param {String} format - "png", "jpeg", "webp" or "avif"
+ * @param {Object} size - { width, height } (default 64x64)
+ * @returns {Promise<Buffer>}
+ */
+export const createImage = (format = "png", { width = 64, height = 64 } = {}) =>
+  sharp({
+    create: {
+      width,
+      height,
+      channels: 3,
+      background: { r: 200, g: 80, b: 40 },
+    },
+  })
+    .toFormat(format)
+    .toBuffer();
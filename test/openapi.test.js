@@ -0,0 +1,110 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import "./helpers.js";
+import { createResponseValidator } from "./openapiValidator.js";
+
+// No database needed: these only look at the routers and at responses sent
+// before any query runs
+let app;
+let openApiDocument;
+let validateResponse;
+let mounts;
+
+before(async () => {
+  app = (await import("../app.js")).default;
+  openApiDocument = (await import("../openapi/index.js")).default;
+  validateResponse = createResponseValidator(openApiDocument);
+
+  // The routers under /api/blog, where app.js and routes/blog.js mount them
+  const load = async (file) => (await import(`../routes/${file}`)).default;
+  mounts = [
+    ["/api/blog/submission", await load("submissionRoute.js")],
+    ["/api/blog/comments", await load("commentModerationRoute.js")],
+    ["/api/blog", await load("feedRoute.js")],
+    ["/api/blog", await load("blog.js")],
+    ["/api/blog/:id/revisions", await load("revisionRoute.js")],
+  ];
+});
+
+// "GET /api/blog/{id}" for each method of each route in a router
+const listRoutes = (prefix, router) =>
+  router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map(
+        (method) =>
+          `${method.toUpperCase()} ${`${prefix}${route.path}`
+            .replace(/\/$/, "")
+            .replace(/:(\w+)/g, "{$1}")}`
+      )
+    );
+
+describe("OpenAPI document", () => {
+  it("documents every route under /api/blog, and nothing else", () => {
+    const routes = mounts.flatMap(([prefix, router]) =>
+      listRoutes(prefix, router)
+    );
+    const documented = Object.entries(openApiDocument.paths).flatMap(
+      ([path, operations]) =>
+        Object.keys(operations).map(
+          (method) => `${method.toUpperCase()} ${path}`
+        )
+    );
+
+    assert.deepEqual(
+      routes.filter((route) => !documented.includes(route)),
+      [],
+      "routes missing from openapi/"
+    );
+    assert.deepEqual(
+      documented.filter((operation) => !routes.includes(operation)),
+      [],
+      "documented operations without a route"
+    );
+  });
+
+  it("serves the document and the interactive docs", async () => {
+    const document = await request(app).get("/api/docs/openapi.json");
+    assert.equal(document.status, 200);
+    assert.equal(document.body.openapi, "3.1.0");
+
+    const ui = await request(app).get("/api/docs/");
+    assert.equal(ui.status, 200);
+    assert.match(ui.type, /html/);
+  });
+
+  it("reports responses that do not match", () => {
+    const problems = validateResponse({
+      method: "GET",
+      path: "/api/blog",
+      status: 200,
+      contentType: "application/json; charset=utf-8",
+      body: { blogs: [{ id: 1 }] },
+    });
+
+    assert.ok(problems.some((problem) => problem.includes("pagination")));
+    assert.ok(problems.some((problem) => problem.startsWith("/blogs/0")));
+  });
+
+  it("matches error responses", async () => {
+    for (const path of [
+      "/api/blog/not-a-uuid",
+      "/api/blog?limit=500",
+      "/api/blog/submission",
+      "/api/blog/feed.txt",
+    ]) {
+      const res = await request(app).get(path);
+      const problems = validateResponse({
+        method: "GET",
+        path: res.req.path.split("?")[0],
+        status: res.status,
+        contentType: res.headers["content-type"],
+        body: res.body,
+      });
+
+      assert.ok(res.status >= 400, path);
+      assert.deepEqual(problems, [], path);
+    }
+  });
+});
@@ -0,0 +1,161 @@
+// Checks responses against the OpenAPI document in openapi/. useTestApp puts
+// every request the tests make through checkResponses, so a response that
+// drifts from the documented schema fails the test file.
+import Ajv from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+
+const DOCUMENT_ID = "openapi.json";
+
+// "/api/blog/{id}/comment" -> /^\/api\/blog\/[^/]+\/comment$/
+const pathPattern = (template) =>
+  new RegExp(
+    `^${template
+      .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+      .replace(/\{[^}]+\}/g, "[^/]+")}$`
+  );
+
+// JSON pointer fragment for a list of keys
+const pointer = (segments) =>
+  `#/${segments
+    .map((segment) =>
+      encodeURIComponent(
+        String(segment).replace(/~/g, "~0").replace(/\//g, "~1")
+      )
+    )
+    .join("/")}`;
+
+const parsePointer = (ref) =>
+  ref
+    .slice(2)
+    .split("/")
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+/**
+ * Build a checker for responses to the documented paths
+ * @param {Object} document - OpenAPI 3.1 document
+ * @returns {Function} ({ method, path, status, contentType, body }) => Array
+ *   of problems, empty when the response matches or the path is not documented
+ */
+export const createResponseValidator = (document) => {
+  const ajv = new Ajv({ strict: false, allErrors: true });
+  addFormats(ajv);
+  ajv.addSchema(document, DOCUMENT_ID);
+
+  // Literal paths win over templates, as in the routers: /api/blog/admin
+  // before /api/blog/{id}
+  const routes = Object.keys(document.paths)
+    .map((template) => ({
+      template,
+      pattern: pathPattern(template),
+      literalLength: template.replace(/\{[^}]+\}/g, "").length,
+    }))
+    .sort((a, b) => b.literalLength - a.literalLength);
+
+  // Follow $refs (e.g. to components.responses) along a path of keys
+  const resolve = (segments) => {
+    let value = document;
+    let at = [];
+    for (const segment of segments) {
+      value = value?.[segment];
+      at.push(segment);
+      if (value?.$ref) {
+        at = parsePointer(value.$ref);
+        value = at.reduce((node, key) => node?.[key], document);
+      }
+    }
+    return { value, at };
+  };
+
+  const validators = new Map();
+  const getValidator = (segments) => {
+    const ref = `${DOCUMENT_ID}${pointer(segments)}`;
+    if (!validators.has(ref)) {
+      validators.set(ref, ajv.compile({ $ref: ref }));
+    }
+    return validators.get(ref);
+  };
+
+  return ({ method, path, status, contentType, body }) => {
+    const verb = method.toLowerCase();
+    const route = routes.find(
+      ({ template, pattern }) =>
+        pattern.test(path) && document.paths[template][verb]
+    );
+    if (!route) return [];
+
+    const operation = ["paths", route.template, verb];
+    const { value: responses } = resolve([...operation, "responses"]);
+    const key = [String(status), `${String(status)[0]}XX`, "default"].find(
+      (candidate) => candidate in responses
+    );
+    if (!key) return [`status ${status} is not documented`];
+
+    const { value: response, at } = resolve([...operation, "responses", key]);
+    if (!response.content || body === undefined) return [];
+
+    const mediaType = (contentType || "").split(";")[0].trim();
+    if (!response.content[mediaType]) {
+      return [`content type "${mediaType}" is not documented`];
+    }
+    if (!response.content[mediaType].schema) return [];
+
+    const validate = getValidator([...at, "content", mediaType, "schema"]);
+    if (validate(body)) return [];
+    return validate.errors.map(
+      (error) => `${error.instancePath || "body"} ${error.message}`
+    );
+  };
+};
+
+// application/json, application/feed+json, ...
+const isJson = (contentType) =>
+  /^application\/([\w.-]+\+)?json\b/.test(contentType || "");
+
+/**
+ * Wrap an Express app so each response is checked once it has been sent
+ * @param {Function} app - Express app
+ * @param {Function} validateResponse - From createResponseValidator
+ * @param {Array<String>} mismatches - Receives one line per bad response
+ * @returns {Function} Request handler to pass to supertest
+ */
+export const checkResponses = (app, validateResponse, mismatches) => {
+  return (req, res) => {
+    const { method } = req;
+    const { pathname } = new URL(req.url, "http://localhost");
+    let sent;
+
+    // res.json and res.send both end up here
+    res.send = function (body) {
+      sent = body;
+      return app.response.send.call(this, body);
+    };
+
+    res.on("finish", () => {
+      const contentType = res.get("Content-Type");
+      let body;
+      if (sent !== undefined && isJson(contentType)) {
+        body =
+          typeof sent === "object" && !Buffer.isBuffer(sent)
+            ? sent
+            : JSON.parse(String(sent));
+      } else if (sent !== undefined) {
+        body = String(sent);
+      }
+
+      const problems = validateResponse({
+        method,
+        path: pathname,
+        status: res.statusCode,
+        contentType,
+        body,
+      });
+      if (problems.length > 0) {
+        mismatches.push(
+          `${method} ${pathname} -> ${res.statusCode}: ${problems.join("; ")}`
+        );
+      }
+    });
+
+    app(req, res);
+  };
+};
@@ -0,0 +1,156 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createCategory, createUser, useTestApp } from "./helpers.js";
+
+const context = useTestApp();
+
+const SUBMISSION = {
+  name: "Farhan Kabir",
+  email: "farhan@example.com",
+  blog_title: "How I prepared for my first hackathon",
+  category: "Programming",
+  blog_content: "https://docs.google.com/document/d/abc123",
+};
+
+const submit = (fields = {}) =>
+  request(context.app)
+    .post("/api/blog/submission")
+    .send({ ...SUBMISSION, ...fields });
+
+// Fields named in a 400 VALIDATION_FAILED response
+const invalidFields = (res) => res.body.details.map((detail) => detail.field);
+
+let admin;
+
+before(async () => {
+  admin = await createUser(context, "admin");
+  await createCategory(context, admin.token, "Programming");
+});
+
+// The route allows ten submissions a minute per client, so the cases below
+// stay under that
+describe("POST /api/blog/submission", () => {
+  it("stores a valid submission as Received", async () => {
+    const res = await submit();
+
+    assert.equal(res.status, 201);
+    assert.ok(res.body.submissionId);
+
+    const stored = await request(context.app)
+      .get(`/api/blog/submission/${res.body.submissionId}`)
+      .set("Authorization", `Bearer ${admin.token}`);
+    assert.equal(stored.status, 200);
+    assert.equal(stored.body.status, "Received");
+  });
+
+  it("queues a confirmation email", async () => {
+    const res = await submit({ email: "queued@example.com" });
+
+    const [emails] = await context.db.query(
+      "SELECT template FROM email_outbox WHERE recipient = ?",
+      ["queued@example.com"]
+    );
+    assert.equal(res.status, 201);
+    assert.deepEqual(
+      emails.map((email) => email.template),
+      ["submissionReceived"]
+    );
+  });
+
+  it("rejects missing fields", async () => {
+    const res = await request(context.app)
+      .post("/api/blog/submission")
+      .send({});
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(invalidFields(res).sort(), [
+      "blog_content",
+      "blog_title",
+      "category",
+      "email",
+      "name",
+    ]);
+  });
+
+  it("rejects an invalid email address", async () => {
+    const res = await submit({ email: "farhan" });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(invalidFields(res), ["email"]);
+  });
+
+  it("only accepts Google Docs or Drive links", async () => {
+    const res = await submit({ blog_content: "https://example.com/my-post" });
+
+    assert.equal(res.status, 400);
+    assert.equal(
+      res.body.error,
+      "blog_content must be a Google Docs or Drive link"
+    );
+  });
+
+  it("rejects unknown categories", async () => {
+    const res = await submit({ category: "Cooking" });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details, [
+      { field: "category", location: "body", message: "Unknown category" },
+    ]);
+  });
+
+  it("rejects titles that are too short", async () => {
+    const res = await submit({ blog_title: "Hi" });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(invalidFields(res), ["blog_title"]);
+  });
+
+  it("escapes HTML in the name and title", async () => {
+    const res = await submit({ blog_title: "<b>Bold</b> ideas" });
+
+    const [rows] = await context.db.query(
+      "SELECT blog_title FROM blog_submissions WHERE id = ?",
+      [res.body.submissionId]
+    );
+    assert.equal(rows[0].blog_title, "&lt;b&gt;Bold&lt;&#x2F;b&gt; ideas");
+  });
+});
+
+describe("PATCH /api/blog/submission/:id/status", () => {
+  let submissionId;
+
+  const changeStatus = (fields) =>
+    request(context.app)
+      .patch(`/api/blog/submission/${submissionId}/status`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send(fields);
+
+  before(async () => {
+    ({ submissionId } = (await submit({ email: "history@example.com" })).body);
+  });
+
+  it("rejects comments longer than the history keeps", async () => {
+    const res = await changeStatus({
+      status: "Under review",
+      comment: "x".repeat(501),
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(invalidFields(res), ["comment"]);
+  });
+
+  it("keeps the whole comment in the history", async () => {
+    const comment = "x".repeat(500);
+
+    const res = await changeStatus({ status: "Under review", comment });
+    assert.equal(res.status, 200);
+
+    const [history] = await context.db.query(
+      "SELECT comment FROM submission_status_history WHERE submission_id = ? AND to_status = 'Under review'",
+      [submissionId]
+    );
+    assert.equal(history[0].comment, comment);
+  });
+});
@@ -0,0 +1,224 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import {
+  createCategory,
+  createImage,
+  createPost,
+  createUser,
+  useTestApp,
+} from "./helpers.js";
+
+const context = useTestApp();
+
+let writer;
+
+const uploadImage = (buffer, options) =>
+  request(context.app)
+    .post("/api/blog/upload-image")
+    .set("Authorization", `Bearer ${writer.token}`)
+    .attach("image", buffer, options);
+
+before(async () => {
+  writer = await createUser(context, "editor");
+  await createCategory(context, writer.token, "Programming");
+});
+
+describe("POST /api/blog/upload-image", () => {
+  it("stores a valid image and records it", async () => {
+    const res = await uploadImage(await createImage("png"), "photo.png");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, "memory");
+    assert.ok(context.storage.files.has(res.body.public_id));
+
+    const [images] = await context.db.query(
+      "SELECT kind, uploaded_by FROM images WHERE public_id = ?",
+      [res.body.public_id]
+    );
+    assert.deepEqual(images, [{ kind: "body", uploaded_by: writer.id }]);
+  });
+
+  it("requires a signed-in writer", async () => {
+    const res = await request(context.app)
+      .post("/api/blog/upload-image")
+      .attach("image", await createImage("png"), "photo.png");
+
+    assert.equal(res.status, 401);
+  });
+
+  it("requires a file", async () => {
+    const res = await request(context.app)
+      .post("/api/blog/upload-image")
+      .set("Authorization", `Bearer ${writer.token}`)
+      .field("caption", "nothing attached");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "No file uploaded");
+  });
+
+  it("rejects files that are not images", async () => {
+    const res = await uploadImage(Buffer.from("not really a png"), {
+      filename: "fake.png",
+      contentType: "image/png",
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_IMAGE");
+    assert.equal(res.body.error, "File is not a JPEG, PNG, WebP or AVIF image");
+  });
+
+  it("rejects file types other than images", async () => {
+    const res = await uploadImage(Buffer.from("plain text"), {
+      filename: "notes.txt",
+      contentType: "text/plain",
+    });
+
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, "INVALID_FILE_TYPE");
+  });
+
+  it("rejects files over the size limit", async () => {
+    const res = await uploadImage(Buffer.alloc(3 * 1024 * 1024), {
+      filename: "huge.png",
+      contentType: "image/png",
+    });
+
+    assert.equal(res.status, 413);
+    assert.equal(res.body.code, "FILE_TOO_LARGE");
+  });
+
+  it("rejects files sent under another field name", async () => {
+    const res = await request(context.app)
+      .post("/api/blog/upload-image")
+      .set("Authorization", `Bearer ${writer.token}`)
+      .attach("file", await createImage("png"), "photo.png");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "UNEXPECTED_FILE");
+  });
+
+  it("rejects images whose content does not match their type", async () => {
+    const res = await uploadImage(await createImage("png"), {
+      filename: "photo.jpg",
+      contentType: "image/jpeg",
+    });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /does not match its declared type/);
+  });
+
+  it("rejects images below the minimum size", async () => {
+    const res = await uploadImage(
+      await createImage("png", { width: 20, height: 20 }),
+      "tiny.png"
+    );
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Image must be at least 50×50 pixels");
+  });
+});
+
+describe("featured image uploads", () => {
+  it("rejects a featured image that is too small without creating the post", async () => {
+    const res = await request(context.app)
+      .post("/api/blog/new")
+      .set("Authorization", `Bearer ${writer.token}`)
+      .field("title", "Too small")
+      .field("published_date", "2025-01-01")
+      .field("category", "Programming")
+      .field("authors", JSON.stringify(["Test Author"]))
+      .field("body", "<p>Body</p>")
+      .attach("featured_image", await createImage("png"), "small.png");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Image must be at least 600×300 pixels");
+
+    const [blogs] = await context.db.query(
+      "SELECT id FROM blogs WHERE title = ?",
+      ["Too small"]
+    );
+    assert.deepEqual(blogs, []);
+  });
+
+  it("replaces the featured image and keeps the old one for its revision", async () => {
+    const { blogId } = await createPost(context, writer.token, {
+      category: "Programming",
+    });
+    const featured = await createImage("jpeg", { width: 800, height: 400 });
+
+    const first = await request(context.app)
+      .put(`/api/blog/${blogId}`)
+      .set("Authorization", `Bearer ${writer.token}`)
+      .attach("featured_image", featured, "first.jpg");
+    assert.equal(first.status, 200);
+    const firstId = first.body.featuredImage.public_id;
+    assert.ok(context.storage.files.has(firstId));
+
+    const second = await request(context.app)
+      .put(`/api/blog/${blogId}`)
+      .set("Authorization", `Bearer ${writer.token}`)
+      .attach("featured_image", featured, "second.jpg");
+    assert.equal(second.status, 200);
+    assert.ok(context.storage.files.has(second.body.featuredImage.public_id));
+    assert.ok(context.storage.files.has(firstId));
+
+    // Past the grace period, cleanup still keeps what a revision shows
+    await context.db.query(
+      "UPDATE images SET created_at = NOW() - INTERVAL 1 YEAR, released_at = NOW() - INTERVAL 1 YEAR WHERE public_id = ?",
+      [firstId]
+    );
+    const { deleteUnusedImages } = await import("../utils/images.js");
+    await deleteUnusedImages();
+    assert.ok(context.storage.files.has(firstId));
+
+    const restored = await request(context.app)
+      .post(`/api/blog/${blogId}/revisions/2/restore`)
+      .set("Authorization", `Bearer ${writer.token}`);
+    assert.equal(restored.status, 200);
+
+    const [blogs] = await context.db.query(
+      "SELECT featured_image->>'$.public_id' AS public_id FROM blogs WHERE id = ?",
+      [blogId]
+    );
+    assert.equal(blogs[0].public_id, firstId);
+  });
+
+  it("deletes a replaced featured image once its revisions are pruned", async () => {
+    const { blogId } = await createPost(context, writer.token, {
+      category: "Programming",
+    });
+    const edit = () =>
+      request(context.app)
+        .put(`/api/blog/${blogId}`)
+        .set("Authorization", `Bearer ${writer.token}`);
+    const featured = await createImage("jpeg", { width: 800, height: 400 });
+
+    const first = await edit().attach("featured_image", featured, "first.jpg");
+    const firstId = first.body.featuredImage.public_id;
+    const second = await edit().attach("featured_image", featured, "second.jpg");
+    assert.equal(second.status, 200);
+
+    // Tests keep three revisions, so two more edits prune the one with firstId
+    for (const title of ["Edited once", "Edited twice"]) {
+      assert.equal((await edit().send({ title })).status, 200);
+    }
+    const [revisions] = await context.db.query(
+      "SELECT revision_number FROM blog_revisions WHERE blog_id = ? ORDER BY revision_number",
+      [blogId]
+    );
+    assert.deepEqual(
+      revisions.map((revision) => revision.revision_number),
+      [3, 4, 5]
+    );
+
+    await context.db.query(
+      "UPDATE images SET created_at = NOW() - INTERVAL 1 YEAR, released_at = NOW() - INTERVAL 1 YEAR WHERE public_id = ?",
+      [firstId]
+    );
+    const { deleteUnusedImages } = await import("../utils/images.js");
+    await deleteUnusedImages();
+    assert.ok(!context.storage.files.has(firstId));
+    assert.ok(context.storage.files.has(second.body.featuredImage.public_id));
+  });
+});
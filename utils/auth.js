@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+
+export const ROLES = {
+  ADMIN: "admin",
+  EDITOR: "editor",
+  AUTHOR: "author",
+};
+
+// Roles allowed to moderate every post, comment and submission
+export const MODERATOR_ROLES = [ROLES.ADMIN, ROLES.EDITOR];
+
+// Roles allowed to write posts (authors are limited to their own)
+export const WRITER_ROLES = [ROLES.ADMIN, ROLES.EDITOR, ROLES.AUTHOR];
+
+export const SESSION_TTL_HOURS =
+  parseInt(process.env.AUTH_SESSION_TTL_HOURS) || 24 * 7;
+
+const getSecret = () => {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error("AUTH_SECRET is not configured");
+  }
+  return secret;
+};
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {String} password - Plain text password
+ * @returns {Promise<String>} Encoded hash in the form "scrypt$salt$hash"
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derivedKey = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString("hex")}`;
+};
+
+/**
+ * Check a password against a hash created by hashPassword
+ * @param {String} password - Plain text password
+ * @param {String} storedHash - Hash stored for the user
+ * @returns {Promise<Boolean>} True if the password matches
+ */
+export const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = (storedHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derivedKey);
+};
+
+const sign = (value) =>
+  crypto.createHmac("sha256", getSecret()).update(value).digest("base64url");
+
+/**
+ * Create a bearer token for a session
+ * @param {String} sessionId - Session ID stored in the sessions table
+ * @returns {String} Signed token in the form "<sessionId>.<signature>"
+ */
+export const signSessionToken = (sessionId) =>
+  `${sessionId}.${sign(sessionId)}`;
+
+/**
+ * Verify a bearer token signature
+ * @param {String} token - Token sent by the client
+ * @returns {String|null} Session ID if the signature is valid, otherwise null
+ */
+export const verifySessionToken = (token) => {
+  if (typeof token !== "string") return null;
+
+  const separator = token.lastIndexOf(".");
+  if (separator <= 0) return null;
+
+  const sessionId = token.slice(0, separator);
+  const signature = Buffer.from(token.slice(separator + 1));
+  const expected = Buffer.from(sign(sessionId));
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(signature, expected)
+  ) {
+    return null;
+  }
+
+  return sessionId;
+};
+
+/**
+ * Check whether a user may edit or delete a blog
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} blog - Blog row with created_by
+ * @returns {Boolean} True for moderators and for the author who owns the post
+ */
+export const canManageBlog = (user, blog) => {
+  if (!user) return false;
+  if (MODERATOR_ROLES.includes(user.role)) return true;
+  return user.role === ROLES.AUTHOR && blog.created_by === user.id;
+};
@@ -0,0 +1,252 @@
+import { formatFeaturedImage } from "./blogFormatter.js";
+import { buildSearchMeta } from "./search.js";
+import { generateUniqueTableSlug } from "./slugs.js";
+
+export const SOCIAL_LINK_KEYS = [
+  "website",
+  "twitter",
+  "facebook",
+  "linkedin",
+  "github",
+  "instagram",
+  "youtube",
+];
+
+/**
+ * Find an author slug no other author uses
+ * @param {Object} connection - Database connection or pool
+ * @param {String} name - Author name (or requested slug)
+ * @param {Number|null} authorId - Author being slugged, if it exists
+ * @returns {Promise<String>} Unique slug
+ */
+export const generateAuthorSlug = (connection, name, authorId = null) =>
+  generateUniqueTableSlug(connection, "authors", name, authorId);
+
+/**
+ * Validate social links from JSON bodies and multipart forms
+ * @param {Object|String|undefined} value - { website: "https://...", github: "https://..." }
+ * @returns {Object|null|undefined} Cleaned links, null to clear, undefined when not sent
+ * @throws {Error} On unknown networks or non-http(s) URLs
+ */
+export const parseSocialLinks = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+
+  let links = value;
+  if (typeof value === "string") {
+    try {
+      links = JSON.parse(value);
+    } catch (e) {
+      throw new Error("social_links must be a JSON object");
+    }
+  }
+  if (!links || typeof links !== "object" || Array.isArray(links)) {
+    throw new Error("social_links must be a JSON object");
+  }
+
+  const cleaned = {};
+  for (const [key, url] of Object.entries(links)) {
+    if (!SOCIAL_LINK_KEYS.includes(key)) {
+      throw new Error(
+        `Unknown social link "${key}". Must be one of: ${SOCIAL_LINK_KEYS.join(
+          ", "
+        )}`
+      );
+    }
+    if (!url) continue;
+    if (typeof url !== "string" || !/^https?:\/\/\S+$/i.test(url.trim())) {
+      throw new Error(`social_links.${key} must be an http(s) URL`);
+    }
+    cleaned[key] = url.trim();
+  }
+
+  return cleaned;
+};
+
+/**
+ * Parse JSON columns of an author row for API responses
+ * @param {Object} author - Author row
+ * @returns {Object} Author with parsed avatar and social_links
+ */
+export const formatAuthor = (author) => ({
+  ...author,
+  avatar: formatFeaturedImage(author.avatar),
+  social_links:
+    typeof author.social_links === "string"
+      ? JSON.parse(author.social_links)
+      : author.social_links || {},
+});
+
+// Author ids from JSON bodies and multipart forms: [1, 2], "[1,2]" or "1,2"
+const parseIdList = (value) => {
+  let ids = value;
+  if (typeof value === "string") {
+    try {
+      ids = JSON.parse(value);
+    } catch (e) {
+      ids = value.split(",");
+    }
+  }
+  return [ids]
+    .flat()
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Work out a post's authors from `author_ids`, or from legacy `authors` names.
+ * Names without a profile come back with id null; setBlogAuthors creates them.
+ * @param {Object} connection - Database connection or pool
+ * @param {Object} input
+ * @param {Array|String} [input.authorIds] - Author profile ids, in byline order
+ * @param {Array|String} [input.names] - Author names, in byline order
+ * @returns {Promise<{authors: Array<{id: Number|null, name: String}>}|{error: String}>}
+ */
+export const resolveBlogAuthors = async (connection, { authorIds, names }) => {
+  if (authorIds !== undefined && authorIds !== null && authorIds !== "") {
+    const ids = parseIdList(authorIds);
+    if (ids.length === 0 || ids.some((id) => !/^\d+$/.test(id))) {
+      return { error: "author_ids must be a list of author ids" };
+    }
+
+    const [rows] = await connection.query(
+      "SELECT id, name FROM authors WHERE id IN (?)",
+      [ids]
+    );
+    const byId = new Map(rows.map((author) => [String(author.id), author]));
+    const missing = ids.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+      return { error: `Unknown author id(s): ${missing.join(", ")}` };
+    }
+
+    return { authors: [...new Set(ids)].map((id) => byId.get(id)) };
+  }
+
+  let parsedNames = names;
+  try {
+    parsedNames = typeof names === "string" ? JSON.parse(names) : names;
+  } catch (e) {
+    return { error: "Invalid authors format. Must be valid JSON array." };
+  }
+
+  const cleaned = [
+    ...new Set(
+      [parsedNames || []]
+        .flat()
+        .map((name) => String(name ?? "").trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (cleaned.length === 0) {
+    return { error: "At least one author is required" };
+  }
+
+  const [rows] = await connection.query(
+    "SELECT id, name FROM authors WHERE name IN (?) ORDER BY id ASC",
+    [cleaned]
+  );
+  const byName = new Map();
+  for (const author of rows) {
+    if (!byName.has(author.name)) byName.set(author.name, author);
+  }
+
+  return {
+    authors: cleaned.map((name) => byName.get(name) || { id: null, name }),
+  };
+};
+
+/**
+ * Link a post to its authors in byline order, creating missing profiles
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {String} blogId - Blog ID
+ * @param {Array<{id: Number|null, name: String}>} authors - From resolveBlogAuthors
+ */
+export const setBlogAuthors = async (connection, blogId, authors) => {
+  const linked = [];
+  for (const author of authors) {
+    if (author.id) {
+      linked.push(author);
+      continue;
+    }
+    const [result] = await connection.query(
+      "INSERT INTO authors (name, slug) VALUES (?, ?)",
+      [author.name, await generateAuthorSlug(connection, author.name)]
+    );
+    linked.push({ id: result.insertId, name: author.name });
+  }
+
+  await connection.query("DELETE FROM blog_authors WHERE blog_id = ?", [
+    blogId,
+  ]);
+  await connection.query(
+    "INSERT INTO blog_authors (blog_id, author_id, position) VALUES ?",
+    [linked.map((author, position) => [blogId, author.id, position])]
+  );
+};
+
+/**
+ * Rebuild blogs.authors and search_meta on every post of a renamed author
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {Number} authorId - Author ID
+ */
+export const syncAuthorName = async (connection, authorId) => {
+  const [blogs] = await connection.query(
+    `SELECT b.id, b.category
+     FROM blogs b
+     JOIN blog_authors ba ON ba.blog_id = b.id
+     WHERE ba.author_id = ?`,
+    [authorId]
+  );
+
+  for (const blog of blogs) {
+    const [rows] = await connection.query(
+      `SELECT a.name FROM blog_authors ba
+       JOIN authors a ON a.id = ba.author_id
+       WHERE ba.blog_id = ?
+       ORDER BY ba.position ASC`,
+      [blog.id]
+    );
+    const authors = rows.map((author) => author.name);
+
+    await connection.query(
+      "UPDATE blogs SET authors = ?, search_meta = ? WHERE id = ?",
+      [
+        JSON.stringify(authors),
+        buildSearchMeta({ category: blog.category, authors }),
+        blog.id,
+      ]
+    );
+  }
+};
+
+/**
+ * Add `author_profiles` ({ id, name, slug, avatar }) to each blog, in byline order
+ * @param {Object} connection - Database connection or pool
+ * @param {Array<Object>} blogs - Blogs with an id
+ * @returns {Promise<Array<Object>>} The same blogs with author profiles
+ */
+export const attachAuthorProfiles = async (connection, blogs) => {
+  if (blogs.length === 0) return blogs;
+
+  const [rows] = await connection.query(
+    `SELECT ba.blog_id, a.id, a.name, a.slug, a.avatar
+     FROM blog_authors ba
+     JOIN authors a ON a.id = ba.author_id
+     WHERE ba.blog_id IN (?)
+     ORDER BY ba.position ASC`,
+    [blogs.map((blog) => blog.id)]
+  );
+
+  const profilesByBlog = new Map();
+  for (const { blog_id, avatar, ...author } of rows) {
+    if (!profilesByBlog.has(blog_id)) profilesByBlog.set(blog_id, []);
+    profilesByBlog
+      .get(blog_id)
+      .push({ ...author, avatar: formatFeaturedImage(avatar) });
+  }
+
+  return blogs.map((blog) => ({
+    ...blog,
+    author_profiles: profilesByBlog.get(blog.id) || [],
+  }));
+};
@@ -0,0 +1,69 @@
+import { getResponsiveImageUrls } from "../config/storage.js";
+
+/**
+ * Parse the authors column into an array
+ * @param {String|Array|null} authors - Raw authors value from MySQL
+ * @returns {Array} Author names
+ */
+export const parseAuthors = (authors) => {
+  if (typeof authors !== "string") {
+    return authors || [];
+  }
+
+  try {
+    return JSON.parse(authors);
+  } catch (e) {
+    return [authors];
+  }
+};
+
+/**
+ * Reduce stored image metadata to what the frontend needs to render a
+ * responsive, lazily loaded image without layout shift
+ * @param {String|Object|null} featuredImage - Raw featured_image value from MySQL
+ * @returns {Object|null} { public_id, provider, format, resource_type, width, height,
+ *   aspect_ratio, placeholder, dominant_color, variants, srcset } or null
+ */
+export const formatFeaturedImage = (featuredImage) => {
+  if (!featuredImage) return null;
+
+  try {
+    const imageData =
+      typeof featuredImage === "string"
+        ? JSON.parse(featuredImage)
+        : featuredImage;
+
+    const { width = null, height = null } = imageData;
+    const provider = imageData.provider || "cloudinary";
+    const variants = getResponsiveImageUrls({ ...imageData, provider });
+
+    return {
+      public_id: imageData.public_id,
+      provider,
+      format: imageData.format,
+      resource_type: imageData.resource_type || "image",
+      width,
+      height,
+      aspect_ratio:
+        width && height ? Number((width / height).toFixed(4)) : null,
+      placeholder: imageData.placeholder || null,
+      dominant_color: imageData.dominant_color || null,
+      variants,
+      srcset: variants.map(({ url, width }) => `${url} ${width}w`).join(", "),
+    };
+  } catch (e) {
+    console.error("Error parsing featured_image:", e);
+    return null;
+  }
+};
+
+/**
+ * Parse JSON columns of a blog row for API responses
+ * @param {Object} blog - Blog row
+ * @returns {Object} Blog with parsed authors and featured_image
+ */
+export const formatBlog = (blog) => ({
+  ...blog,
+  authors: parseAuthors(blog.authors),
+  featured_image: formatFeaturedImage(blog.featured_image),
+});
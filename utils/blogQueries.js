@@ -0,0 +1,192 @@
+import db from "../config/db.js";
+import { formatBlog } from "./blogFormatter.js";
+import {
+  buildSnippet,
+  parseSearchQuery,
+  toBooleanQuery,
+  toLikeConditions,
+} from "./search.js";
+import { attachTags } from "./taxonomy.js";
+import { attachAuthorProfiles } from "./authors.js";
+
+export const BLOG_STATUSES = ["draft", "scheduled", "published", "archived"];
+
+// Posts readers may see: published, or scheduled with a publish time that has passed
+export const PUBLIC_BLOG_CONDITION =
+  "(status = 'published' OR (status = 'scheduled' AND publish_at <= NOW()))";
+
+const ORDER_BY = {
+  relevance: "ORDER BY relevance DESC, published_date DESC",
+  oldest: "ORDER BY published_date ASC, created_at ASC",
+  popular: "ORDER BY comments_count DESC, published_date DESC",
+  latest: "ORDER BY published_date DESC, created_at DESC",
+};
+
+export const BLOG_SORT_OPTIONS = Object.keys(ORDER_BY);
+
+/**
+ * Fetch a page of blogs with filters and sorting
+ * @param {Object} options
+ * @param {String} [options.category] - Category slug or name ("All" means no filter)
+ * @param {Array<String>} [options.tags] - Tag slugs
+ * @param {String} [options.tagMatch] - "all" (default) or "any" of the tags
+ * @param {String} [options.search] - Search text for title, body, authors and category.
+ *   Supports "quoted phrases" and -excluded words.
+ * @param {String} [options.sortBy] - "latest", "oldest", "popular" or "relevance" (search only)
+ * @param {Boolean} [options.publicOnly] - Only posts readers may see (default: true)
+ * @param {String} [options.status] - Exact status filter (admin listings)
+ * @param {String} [options.createdBy] - Only posts owned by this user
+ * @param {String} [options.author] - Only posts by this author (profile slug or name)
+ * @param {Number} [options.authorId] - Only posts by this author profile
+ * @param {Boolean} [options.includeBody] - Also return the full body (feeds)
+ * @param {Number} options.limit - Page size
+ * @param {Number} options.offset - Rows to skip
+ * @returns {Promise<{blogs: Array, total: Number}>} Formatted blogs and total count
+ */
+export const queryBlogs = async ({
+  category,
+  tags = [],
+  tagMatch = "all",
+  search,
+  sortBy,
+  publicOnly = true,
+  status,
+  createdBy,
+  author,
+  authorId,
+  includeBody = false,
+  limit,
+  offset,
+}) => {
+  // Build WHERE clause for filters
+  const whereConditions = [];
+  const queryParams = [];
+
+  if (publicOnly) {
+    whereConditions.push(PUBLIC_BLOG_CONDITION);
+  }
+
+  if (status) {
+    whereConditions.push("status = ?");
+    queryParams.push(status);
+  }
+
+  if (createdBy) {
+    whereConditions.push("created_by = ?");
+    queryParams.push(createdBy);
+  }
+
+  if (author) {
+    whereConditions.push(
+      `id IN (
+        SELECT ba.blog_id FROM blog_authors ba
+        JOIN authors a ON a.id = ba.author_id
+        WHERE a.slug = ? OR a.name = ?
+      )`
+    );
+    queryParams.push(author, author);
+  }
+
+  if (authorId) {
+    whereConditions.push(
+      "id IN (SELECT blog_id FROM blog_authors WHERE author_id = ?)"
+    );
+    queryParams.push(authorId);
+  }
+
+  // Category filter
+  if (category && category !== "All") {
+    whereConditions.push(
+      "category_id IN (SELECT id FROM categories WHERE slug = ? OR name = ?)"
+    );
+    queryParams.push(category, category);
+  }
+
+  // Tag filter: posts with every tag, or with any of them
+  if (tags.length > 0) {
+    whereConditions.push(
+      `id IN (
+        SELECT bt.blog_id FROM blog_tags bt
+        JOIN tags t ON t.id = bt.tag_id
+        WHERE t.slug IN (?)
+        GROUP BY bt.blog_id
+        ${tagMatch === "any" ? "" : "HAVING COUNT(DISTINCT t.id) = ?"}
+      )`
+    );
+    queryParams.push(tags);
+    if (tagMatch !== "any") queryParams.push(new Set(tags).size);
+  }
+
+  // Search filter (full-text over title, body, authors and category)
+  const parsedSearch =
+    search && search.trim() ? parseSearchQuery(search) : null;
+  const booleanQuery = parsedSearch ? toBooleanQuery(parsedSearch) : null;
+
+  if (booleanQuery) {
+    whereConditions.push(
+      "MATCH(title, body, search_meta) AGAINST (? IN BOOLEAN MODE)"
+    );
+    queryParams.push(booleanQuery);
+  } else if (parsedSearch) {
+    // Only short or excluded words: fall back to substring matches
+    const { conditions, params } = toLikeConditions(parsedSearch);
+    whereConditions.push(...conditions);
+    queryParams.push(...params);
+  }
+
+  const whereClause =
+    whereConditions.length > 0 ? `WHERE ${whereConditions.join(" AND ")}` : "";
+
+  // Get total count with filters
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total FROM blogs ${whereClause}`,
+    queryParams
+  );
+
+  const lifecycleFields = publicOnly ? "" : "status, publish_at, created_by,";
+
+  // Title matches count double towards relevance
+  const relevanceField = booleanQuery
+    ? `MATCH(title) AGAINST (? IN BOOLEAN MODE) * 2 +
+       MATCH(title, body, search_meta) AGAINST (? IN BOOLEAN MODE) AS relevance,`
+    : "";
+  const relevanceParams = booleanQuery ? [booleanQuery, booleanQuery] : [];
+  const orderBy =
+    sortBy === "relevance" && !booleanQuery
+      ? ORDER_BY.latest
+      : ORDER_BY[sortBy] || ORDER_BY.latest;
+
+  // Searches need the whole body to cut a snippet around the match
+  const excerptField = parsedSearch ? "" : "excerpt,";
+  const bodyField = parsedSearch || includeBody ? "body," : "";
+
+  // Get paginated blogs with filters and sorting
+  const [blogs] = await db.query(
+    `SELECT id, slug, title, published_date, category, category_id, authors, featured_image,
+            ${lifecycleFields} ${relevanceField} ${excerptField} ${bodyField}
+            word_count, reading_time, comments_count, created_at, updated_at
+     FROM blogs
+     ${whereClause}
+     ${orderBy}
+     LIMIT ? OFFSET ?`,
+    [...relevanceParams, ...queryParams, limit, offset]
+  );
+
+  const linkedBlogs = await attachAuthorProfiles(
+    db,
+    await attachTags(db, blogs)
+  );
+
+  return {
+    blogs: linkedBlogs.map((blog) => {
+      const { body, ...rest } = formatBlog(blog);
+
+      if (parsedSearch) {
+        rest.excerpt = buildSnippet(body, parsedSearch);
+      }
+
+      return includeBody ? { ...rest, body } : rest;
+    }),
+    total: countResult[0].total,
+  };
+};
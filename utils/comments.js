@@ -0,0 +1,81 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const COMMENT_STATUSES = ["pending", "approved", "spam", "rejected"];
+
+// Fields safe to show readers (no email addresses)
+export const PUBLIC_COMMENT_FIELDS =
+  "id, parent_id, name, text, created_at AS timestamp";
+
+// Approve comments from emails that already have an approved comment
+export const AUTO_APPROVE_KNOWN_COMMENTERS =
+  process.env.COMMENTS_AUTO_APPROVE_KNOWN === "true";
+
+/**
+ * Nest replies under their parent comments. A reply whose parent is not in
+ * the list (not approved) is left out with its own replies, as readers only
+ * see comments whose every ancestor is approved.
+ * @param {Array} comments - Flat list of comments with id and parent_id
+ * @returns {Array} Top-level comments, each with a replies array
+ */
+export const buildCommentTree = (comments) => {
+  const nodes = new Map(
+    comments.map((comment) => [comment.id, { ...comment, replies: [] }])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    if (!node.parent_id) {
+      roots.push(node);
+    } else {
+      nodes.get(node.parent_id)?.replies.push(node);
+    }
+  }
+
+  return roots;
+};
+
+/**
+ * Decide the initial moderation status for a new comment
+ * @param {Object} connection - Database connection or pool
+ * @param {String} email - Commenter email
+ * @returns {Promise<String>} "approved" or "pending"
+ */
+export const getInitialCommentStatus = async (connection, email) => {
+  if (!AUTO_APPROVE_KNOWN_COMMENTERS) return "pending";
+
+  const [rows] = await connection.query(
+    "SELECT 1 FROM comments WHERE email = ? AND status = 'approved' LIMIT 1",
+    [email]
+  );
+
+  return rows.length > 0 ? "approved" : "pending";
+};
+
+/**
+ * Recalculate a blog's comments_count from the comments readers see: approved
+ * comments whose every ancestor is approved too. Comments are not edits to
+ * the post, so updated_at keeps its value.
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {String} blogId - Blog ID
+ */
+export const refreshCommentsCount = async (connection, blogId) => {
+  const [rows] = await connection.query(
+    `WITH RECURSIVE visible AS (
+       SELECT id FROM comments
+       WHERE blog_id = ? AND status = 'approved' AND parent_id IS NULL
+       UNION ALL
+       SELECT c.id FROM comments c
+       JOIN visible v ON c.parent_id = v.id
+       WHERE c.status = 'approved'
+     )
+     SELECT COUNT(*) AS total FROM visible`,
+    [blogId]
+  );
+
+  await connection.query(
+    "UPDATE blogs SET comments_count = ?, updated_at = updated_at WHERE id = ?",
+    [rows[0].total, blogId]
+  );
+};
@@ -0,0 +1,124 @@
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { htmlToText } from "./search.js";
+import { addHeadingAnchors } from "./toc.js";
+
+export const BODY_FORMATS = ["html", "markdown"];
+
+const EXCERPT_LENGTH = 300;
+const WORDS_PER_MINUTE = 200;
+
+const markdown = new Marked({ gfm: true, breaks: false, async: false });
+
+// Everything a post body may contain; anything else is stripped
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...["h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr", "blockquote"],
+    ...["pre", "code", "strong", "b", "em", "i", "u", "s", "del", "ins"],
+    ...["mark", "sub", "sup", "small", "ul", "ol", "li", "dl", "dt", "dd"],
+    ...["a", "img", "figure", "figcaption", "span", "div", "iframe"],
+    ...["table", "thead", "tbody", "tfoot", "tr", "th", "td", "caption"],
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: [
+      "src",
+      "srcset",
+      "sizes",
+      "alt",
+      "title",
+      "width",
+      "height",
+      "loading",
+    ],
+    iframe: ["src", "width", "height", "title", "allow", "allowfullscreen"],
+    th: ["colspan", "rowspan", "align"],
+    td: ["colspan", "rowspan", "align"],
+    ol: ["start"],
+    code: ["class"],
+    "*": ["id"],
+  },
+  allowedClasses: { code: ["language-*"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https", "data"] },
+  allowedIframeHostnames: [
+    "www.youtube.com",
+    "www.youtube-nocookie.com",
+    "player.vimeo.com",
+  ],
+  transformTags: {
+    // Links opening a new tab must not get access to this window
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs:
+        attribs.target === "_blank"
+          ? { ...attribs, rel: "noopener noreferrer" }
+          : attribs,
+    }),
+  },
+};
+
+/**
+ * Cut plain text to a length on a word boundary
+ * @param {String} text - Plain text
+ * @param {Number} length - Maximum length in characters
+ * @returns {String} The text, or its first words followed by "…"
+ */
+export const truncateWords = (text, length) => {
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length + 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  const trimmed =
+    lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut.slice(0, length);
+  return `${trimmed.replace(/[\s.,;:!?\-–—]+$/u, "")}…`;
+};
+
+/**
+ * Render a post body to sanitized HTML with heading anchors, and derive its
+ * outline and reading stats
+ * @param {String} source - Body as written (Markdown or HTML)
+ * @param {String} format - "markdown" or "html"
+ * @returns {{html: String, toc: Array, excerpt: String, wordCount: Number, readingTime: Number}}
+ *   readingTime is in whole minutes (at least 1)
+ */
+export const renderBody = (source, format = "html") => {
+  const rawHtml =
+    format === "markdown" ? markdown.parse(source || "") : source || "";
+  const { html, toc } = addHeadingAnchors(
+    sanitizeHtml(rawHtml, SANITIZE_OPTIONS).trim()
+  );
+  const text = htmlToText(html);
+  const wordCount = (text.match(/\S+/g) || []).length;
+
+  return {
+    html,
+    toc,
+    excerpt: truncateWords(text, EXCERPT_LENGTH),
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+  };
+};
+
+/**
+ * Column values for a rendered body, ready for INSERT or UPDATE
+ * @param {String} source - Body as written
+ * @param {String} format - "markdown" or "html"
+ * @returns {Object} { body, body_source, body_format, toc, excerpt, word_count, reading_time }
+ */
+export const buildBodyColumns = (source, format = "html") => {
+  const { html, toc, excerpt, wordCount, readingTime } = renderBody(
+    source,
+    format
+  );
+
+  return {
+    body: html,
+    body_source: source,
+    body_format: format,
+    toc: JSON.stringify(toc),
+    excerpt,
+    word_count: wordCount,
+    reading_time: readingTime,
+  };
+};
@@ -0,0 +1,84 @@
+import { SITE_NAME, getBlogUrl } from "../config/site.js";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap paragraphs of plain text into a minimal HTML email
+const layout = (paragraphs) =>
+  `<!doctype html><html><body style="font-family: sans-serif; line-height: 1.5">${paragraphs
+    .map((p) => `<p>${p}</p>`)
+    .join("")}<p style="color: #888">— ${escapeHtml(
+    SITE_NAME
+  )}</p></body></html>`;
+
+const templates = {
+  // Sent to the submitter after POST /api/blog/submission
+  submissionReceived: ({ name, blogTitle }) => ({
+    subject: `We received your submission "${blogTitle}"`,
+    text: `Hi ${name},\n\nThanks for submitting "${blogTitle}" to ${SITE_NAME}. Our editors will review it and let you know when its status changes.\n\n— ${SITE_NAME}`,
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `Thanks for submitting <strong>${escapeHtml(
+        blogTitle
+      )}</strong> to ${escapeHtml(
+        SITE_NAME
+      )}. Our editors will review it and let you know when its status changes.`,
+    ]),
+  }),
+
+  // Sent to the submitter when an editor changes the status
+  submissionStatusChanged: ({ name, blogTitle, status, comment }) => ({
+    subject: `Your submission "${blogTitle}" is now ${status}`,
+    text: `Hi ${name},\n\nThe status of your submission "${blogTitle}" changed to: ${status}.${
+      comment ? `\n\nNote from the editors:\n${comment}` : ""
+    }\n\n— ${SITE_NAME}`,
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `The status of your submission <strong>${escapeHtml(
+        blogTitle
+      )}</strong> changed to: <strong>${escapeHtml(status)}</strong>.`,
+      ...(comment ? [`Note from the editors:<br>${escapeHtml(comment)}`] : []),
+    ]),
+  }),
+
+  // Sent to the owner of a post when someone comments on it
+  newComment: ({ blog, commenterName, text, status }) => {
+    const url = getBlogUrl(blog);
+    const pending = status !== "approved";
+
+    return {
+      subject: `New comment on "${blog.title}"`,
+      text: `${commenterName} commented on "${blog.title}":\n\n${text}\n\n${
+        pending ? "The comment is waiting for moderation.\n\n" : ""
+      }${url}\n\n— ${SITE_NAME}`,
+      html: layout([
+        `<strong>${escapeHtml(
+          commenterName
+        )}</strong> commented on <a href="${escapeHtml(url)}">${escapeHtml(
+          blog.title
+        )}</a>:`,
+        `<blockquote>${escapeHtml(text)}</blockquote>`,
+        ...(pending ? ["The comment is waiting for moderation."] : []),
+      ]),
+    };
+  },
+};
+
+/**
+ * Render an email template
+ * @param {String} name - Template name
+ * @param {Object} data - Template variables (plain text, escaped here for HTML)
+ * @returns {{subject: String, text: String, html: String}} Rendered message
+ */
+export const renderEmail = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+};
@@ -0,0 +1,69 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Code sent with each status unless the route picks a more specific one
+export const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+};
+
+// Details of server errors (library and database messages) only go to the
+// logs in production
+const HIDE_INTERNAL_DETAILS = process.env.NODE_ENV === "production";
+
+/**
+ * An error with the response it should produce. Thrown from middleware (or
+ * passed to next) and turned into a response by middleware/errorHandler.js.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {Number} status - HTTP status
+   * @param {String} message - Shown to the client
+   * @param {Object} options - { code, details } (see errorBody)
+   */
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Body of every error response
+ * @param {Number} status - HTTP status
+ * @param {String} message - Human-readable message
+ * @param {Object} options
+ * @param {String} [options.code] - Machine-readable code (default: by status)
+ * @param {*} [options.details] - Extra data, e.g. the fields that failed validation
+ * @returns {Object} { error, code, details? }
+ */
+export const errorBody = (status, message, { code, details } = {}) => {
+  const body = {
+    error: message,
+    code: code || ERROR_CODES[status] || ERROR_CODES[status >= 500 ? 500 : 400],
+  };
+  if (details !== undefined && !(status >= 500 && HIDE_INTERNAL_DETAILS)) {
+    body.details = details;
+  }
+  return body;
+};
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {Number} status - HTTP status
+ * @param {String} message - Human-readable message
+ * @param {Object} options - { code, details } (see errorBody)
+ */
+export const sendError = (res, status, message, options) =>
+  res.status(status).json(errorBody(status, message, options));
@@ -0,0 +1,184 @@
+import { getBlogUrl } from "../config/site.js";
+import { getImageUrl } from "../config/storage.js";
+import { htmlToText } from "./search.js";
+import { escapeXml } from "./xml.js";
+
+const IMAGE_MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+/**
+ * Turn a blog from queryBlogs into the item shape every feed format uses
+ * @param {Object} blog - Formatted blog; `body` is set for full-content feeds
+ * @returns {Object} Feed item
+ */
+export const toFeedItem = (blog) => {
+  const image = blog.featured_image;
+
+  return {
+    id: blog.id,
+    url: getBlogUrl(blog),
+    title: blog.title,
+    summary: htmlToText(blog.excerpt),
+    contentHtml: blog.body || null,
+    authors: blog.authors || [],
+    // The category first, then the post's tags
+    categories: [
+      blog.category,
+      ...(blog.tags || []).map((tag) => tag.name),
+    ].filter(Boolean),
+    image: image
+      ? {
+          url: getImageUrl(image, { format: image.format }),
+          type: IMAGE_MIME_TYPES[image.format] || "image/jpeg",
+        }
+      : null,
+    published: new Date(blog.published_date || blog.created_at),
+    updated: new Date(blog.updated_at || blog.created_at),
+  };
+};
+
+/**
+ * RSS 2.0 document
+ * @param {Object} feed - { title, description, homeUrl, feedUrl, updated }
+ * @param {Array} items - Results of toFeedItem
+ * @returns {String} XML
+ */
+export const buildRssFeed = (feed, items) => {
+  const entries = items.map((item) =>
+    [
+      "    <item>",
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+      ...item.authors.map(
+        (author) => `      <dc:creator>${escapeXml(author)}</dc:creator>`
+      ),
+      ...item.categories.map(
+        (category) => `      <category>${escapeXml(category)}</category>`
+      ),
+      `      <description>${escapeXml(item.summary)}</description>`,
+      item.contentHtml &&
+        `      <content:encoded>${escapeXml(
+          item.contentHtml
+        )}</content:encoded>`,
+      item.image &&
+        `      <enclosure url="${escapeXml(item.image.url)}" length="0" type="${
+          item.image.type
+        }"/>`,
+      item.image &&
+        `      <media:content url="${escapeXml(
+          item.image.url
+        )}" medium="image" type="${item.image.type}"/>`,
+      "    </item>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">',
+    "  <channel>",
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(
+      feed.feedUrl
+    )}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...entries,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * Atom 1.0 document
+ * @param {Object} feed - { title, description, homeUrl, feedUrl, updated }
+ * @param {Array} items - Results of toFeedItem
+ * @returns {String} XML
+ */
+export const buildAtomFeed = (feed, items) => {
+  const entries = items.map((item) =>
+    [
+      "  <entry>",
+      `    <id>urn:uuid:${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(
+        item.url
+      )}"/>`,
+      `    <published>${item.published.toISOString()}</published>`,
+      `    <updated>${item.updated.toISOString()}</updated>`,
+      ...item.authors.map(
+        (author) => `    <author><name>${escapeXml(author)}</name></author>`
+      ),
+      ...item.categories.map(
+        (category) => `    <category term="${escapeXml(category)}"/>`
+      ),
+      `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+      item.contentHtml &&
+        `    <content type="html">${escapeXml(item.contentHtml)}</content>`,
+      item.image &&
+        `    <link rel="enclosure" type="${item.image.type}" href="${escapeXml(
+          item.image.url
+        )}"/>`,
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(
+      feed.homeUrl
+    )}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(
+      feed.feedUrl
+    )}"/>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * JSON Feed 1.1 document
+ * @param {Object} feed - { title, description, homeUrl, feedUrl, updated }
+ * @param {Array} items - Results of toFeedItem
+ * @returns {Object} Feed object, ready for res.json
+ */
+export const buildJsonFeed = (feed, items) => ({
+  version: "https://jsonfeed.org/version/1.1",
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  items: items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    ...(item.contentHtml
+      ? { content_html: item.contentHtml }
+      : { content_text: item.summary }),
+    ...(item.image && { image: item.image.url }),
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: item.authors.map((name) => ({ name })),
+    ...(item.categories.length > 0 && { tags: item.categories }),
+  })),
+});
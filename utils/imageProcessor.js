@@ -1,49 +1,181 @@
 import sharp from "sharp";
+import {
+  ENCODER_OPTIONS,
+  IMAGE_UPLOAD_TYPES,
+  MAX_IMAGE_PIXELS,
+} from "../config/images.js";
+
+// Upload MIME types and the format their content must sniff as
+export const IMAGE_MIME_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+};
 
 /**
- * Compress and optimize image
- * @param {Buffer} imageBuffer - Original image buffer
- * @param {Number} maxWidth - Maximum width (default: 1200)
- * @param {Number} quality - Compression quality (default: 85)
- * @returns {Promise<Buffer>} Compressed image buffer
+ * Identify an image from its magic bytes, ignoring what the client claims
+ * @param {Buffer} imageBuffer - File contents
+ * @returns {String|null} "jpeg", "png", "webp", "avif" or null
  */
-export const compressImage = async (
-  imageBuffer,
-  maxWidth = 1200,
-  quality = 85
-) => {
-  try {
-    const compressedBuffer = await sharp(imageBuffer)
-      .resize(maxWidth, null, {
-        withoutEnlargement: true,
-        fit: "inside",
-      })
-      .jpeg({ quality, mozjpeg: true })
-      .toBuffer();
+export const detectImageFormat = (imageBuffer) => {
+  const ascii = (start, end) => imageBuffer.toString("latin1", start, end);
 
-    return compressedBuffer;
-  } catch (error) {
-    console.error("Error compressing image:", error);
-    throw error;
+  if (imageBuffer.length < 12) return null;
+  if (
+    imageBuffer[0] === 0xff &&
+    imageBuffer[1] === 0xd8 &&
+    imageBuffer[2] === 0xff
+  ) {
+    return "jpeg";
   }
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") return "png";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+  // ISO-BMFF "ftyp" box whose major or compatible brands include AVIF
+  if (ascii(4, 8) === "ftyp") {
+    const boxSize = Math.min(imageBuffer.readUInt32BE(0), imageBuffer.length);
+    const brands = ascii(8, boxSize);
+    if (/avi[fs]/.test(brands)) return "avif";
+  }
+  return null;
 };
 
 /**
  * Get image metadata
  * @param {Buffer} imageBuffer - Image buffer
- * @returns {Promise<Object>} Image metadata
+ * @returns {Promise<Object>} Image metadata; width and height are as displayed,
+ *   after EXIF orientation
  */
 export const getImageMetadata = async (imageBuffer) => {
   try {
     const metadata = await sharp(imageBuffer).metadata();
+    // Orientations 5-8 are rotated by 90°
+    const rotated = metadata.orientation >= 5;
     return {
-      width: metadata.width,
-      height: metadata.height,
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height,
       format: metadata.format,
       size: metadata.size,
+      hasAlpha: metadata.hasAlpha,
     };
   } catch (error) {
     console.error("Error getting image metadata:", error);
     throw error;
   }
 };
+
+/**
+ * Check an upload's content against its declared type and the size limits
+ * of its upload type
+ * @param {Buffer} imageBuffer - File contents
+ * @param {String} mimeType - Type the client declared
+ * @param {String} type - "featured", "body" or "avatar"
+ * @returns {Promise<Object>} { format, width, height } or { error }
+ */
+export const validateImage = async (imageBuffer, mimeType, type) => {
+  const format = detectImageFormat(imageBuffer);
+  if (!format) {
+    return { error: "File is not a JPEG, PNG, WebP or AVIF image" };
+  }
+  if (IMAGE_MIME_TYPES[mimeType] !== format) {
+    return {
+      error: `File content (${format}) does not match its declared type (${mimeType})`,
+    };
+  }
+
+  let metadata;
+  try {
+    metadata = await getImageMetadata(imageBuffer);
+  } catch (error) {
+    return { error: "Image is corrupt or could not be read" };
+  }
+
+  const { width, height } = metadata;
+  const { minWidth, minHeight } = IMAGE_UPLOAD_TYPES[type];
+  if (width * height > MAX_IMAGE_PIXELS) {
+    return {
+      error: `Image is too large (at most ${
+        MAX_IMAGE_PIXELS / 1000000
+      } megapixels)`,
+    };
+  }
+  if (width < minWidth || height < minHeight) {
+    return {
+      error: `Image must be at least ${minWidth}×${minHeight} pixels`,
+    };
+  }
+
+  return { format, width, height };
+};
+
+/**
+ * Re-encode an upload for storage: orientation is applied from EXIF, all
+ * metadata (EXIF including GPS, XMP, IPTC) is dropped, and transparency is
+ * kept unless the output is JPEG
+ * @param {Buffer} imageBuffer - Validated upload
+ * @param {String} type - "featured", "body" or "avatar" (see config/images.js)
+ * @returns {Promise<Buffer>} Processed image buffer
+ */
+export const processImage = async (imageBuffer, type) => {
+  const { maxWidth, size, format } = IMAGE_UPLOAD_TYPES[type];
+
+  try {
+    const image = sharp(imageBuffer, { limitInputPixels: MAX_IMAGE_PIXELS });
+    const { hasAlpha } = await image.metadata();
+    const outputFormat =
+      format === "original" ? detectImageFormat(imageBuffer) : format;
+
+    image.rotate();
+    if (size) {
+      image.resize(size, size, {
+        fit: "cover",
+        position: sharp.strategy.attention,
+        withoutEnlargement: true,
+      });
+    } else {
+      image.resize(maxWidth, null, { fit: "inside", withoutEnlargement: true });
+    }
+    if (outputFormat === "jpeg" && hasAlpha) {
+      image.flatten({ background: "#ffffff" });
+    }
+
+    return await image
+      .toFormat(outputFormat, ENCODER_OPTIONS[outputFormat])
+      .toBuffer();
+  } catch (error) {
+    console.error("Error processing image:", error);
+    throw error;
+  }
+};
+
+/**
+ * Tiny preview and dominant colour shown while the real image loads
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {Number} size - Longest side of the preview in pixels (default: 16)
+ * @returns {Promise<Object>} { placeholder: "data:image/webp;base64,...", dominant_color: "#rrggbb" }
+ */
+export const getImagePlaceholder = async (imageBuffer, size = 16) => {
+  try {
+    const image = sharp(imageBuffer);
+    const [preview, stats] = await Promise.all([
+      image
+        .clone()
+        .resize(size, size, { fit: "inside" })
+        .webp({ quality: 50 })
+        .toBuffer(),
+      image.clone().stats(),
+    ]);
+
+    const { r, g, b } = stats.dominant;
+    const toHex = (channel) => channel.toString(16).padStart(2, "0");
+
+    return {
+      placeholder: `data:image/webp;base64,${preview.toString("base64")}`,
+      dominant_color: `#${toHex(r)}${toHex(g)}${toHex(b)}`,
+    };
+  } catch (error) {
+    console.error("Error building image placeholder:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,190 @@
+import db, { withTransaction } from "../config/db.js";
+import { deleteImage, getImageUrl } from "../config/storage.js";
+
+// How long an unused image is kept before cleanup deletes it
+export const IMAGE_CLEANUP_GRACE_HOURS =
+  parseInt(process.env.IMAGE_CLEANUP_GRACE_HOURS) || 24;
+
+// Images no post links to, no kept revision has as its featured image (so
+// restoring it brings the image back) and no author uses as an avatar
+const UNUSED_IMAGE_CONDITION = `
+  NOT EXISTS (SELECT 1 FROM blog_images bi WHERE bi.image_id = images.id)
+  AND NOT EXISTS (
+    SELECT 1 FROM blog_revisions r
+    WHERE r.featured_image->>'$.public_id' = images.public_id
+      AND COALESCE(r.featured_image->>'$.provider', 'cloudinary') = images.provider
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM authors a
+    WHERE a.avatar->>'$.public_id' = images.public_id
+      AND COALESCE(a.avatar->>'$.provider', 'cloudinary') = images.provider
+  )`;
+
+const parseImage = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value;
+
+/**
+ * Record an upload so it can be cleaned up if nothing ends up using it.
+ * Uploading over an existing public ID starts its grace period again.
+ * @param {Object} connection - Pool or transaction connection
+ * @param {Object} image - Result of storage.upload
+ * @param {Object} options - { kind: "featured"|"body"|"avatar", uploadedBy }
+ * @returns {Promise<void>}
+ */
+export const recordImage = async (
+  connection,
+  image,
+  { kind, uploadedBy = null }
+) => {
+  await connection.query(
+    `INSERT INTO images (provider, public_id, kind, uploaded_by)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE created_at = NOW(), released_at = NULL`,
+    [image.provider || "cloudinary", image.public_id, kind, uploadedBy]
+  );
+};
+
+/**
+ * Start the grace period of images that no longer have any post
+ * @param {Object} connection - Pool or transaction connection
+ * @param {Array<Number>} imageIds - Images a post just stopped using
+ * @returns {Promise<void>}
+ */
+export const releaseImages = async (connection, imageIds) => {
+  if (imageIds.length === 0) return;
+
+  await connection.query(
+    `UPDATE images SET released_at = NOW()
+     WHERE id IN (?)
+       AND NOT EXISTS (SELECT 1 FROM blog_images bi WHERE bi.image_id = images.id)`,
+    [imageIds]
+  );
+};
+
+/**
+ * Relink a post to the images it uses: its featured image and every recorded
+ * image whose public ID appears in the body (in a src, srcset or link)
+ * @param {Object} connection - Transaction connection
+ * @param {String} blogId - Blog ID
+ * @returns {Promise<void>}
+ */
+export const syncBlogImages = async (connection, blogId) => {
+  const [blogs] = await connection.query(
+    "SELECT body, featured_image FROM blogs WHERE id = ?",
+    [blogId]
+  );
+  if (blogs.length === 0) return;
+
+  const featured = parseImage(blogs[0].featured_image);
+  const [images] = await connection.query(
+    `SELECT id FROM images
+     WHERE (provider = ? AND public_id = ?) OR LOCATE(public_id, ?) > 0`,
+    [
+      featured?.provider || "cloudinary",
+      featured?.public_id ?? null,
+      blogs[0].body || "",
+    ]
+  );
+  const [linked] = await connection.query(
+    "SELECT image_id FROM blog_images WHERE blog_id = ?",
+    [blogId]
+  );
+
+  const imageIds = images.map((image) => image.id);
+  await connection.query("DELETE FROM blog_images WHERE blog_id = ?", [blogId]);
+  if (imageIds.length > 0) {
+    await connection.query(
+      "INSERT INTO blog_images (blog_id, image_id) VALUES ?",
+      [imageIds.map((imageId) => [blogId, imageId])]
+    );
+    await connection.query(
+      "UPDATE images SET released_at = NULL WHERE id IN (?)",
+      [imageIds]
+    );
+  }
+
+  await releaseImages(
+    connection,
+    linked
+      .map((link) => link.image_id)
+      .filter((imageId) => !imageIds.includes(imageId))
+  );
+};
+
+/**
+ * Delete an image from storage and forget it
+ * @param {Object|String} image - Stored metadata ({ public_id, provider })
+ * @returns {Promise<void>}
+ */
+export const removeImage = async (image) => {
+  const { public_id, provider = "cloudinary" } = parseImage(image);
+
+  await deleteImage({ public_id, provider });
+  await db.query("DELETE FROM images WHERE provider = ? AND public_id = ?", [
+    provider,
+    public_id,
+  ]);
+};
+
+/**
+ * Unused images, oldest first
+ * @param {Object} options - { expired: only those past the grace period, limit }
+ * @returns {Promise<Array>} Image rows with `url` and `expires_at`
+ */
+export const findUnusedImages = async ({
+  expired = true,
+  limit = 100,
+} = {}) => {
+  const [images] = await db.query(
+    `SELECT id, provider, public_id, kind, uploaded_by, created_at, released_at,
+            COALESCE(released_at, created_at) + INTERVAL ? HOUR AS expires_at
+     FROM images
+     WHERE ${UNUSED_IMAGE_CONDITION}
+       ${
+         expired
+           ? "AND COALESCE(released_at, created_at) + INTERVAL ? HOUR <= NOW()"
+           : ""
+       }
+     ORDER BY expires_at ASC, id ASC
+     LIMIT ?`,
+    expired
+      ? [IMAGE_CLEANUP_GRACE_HOURS, IMAGE_CLEANUP_GRACE_HOURS, limit]
+      : [IMAGE_CLEANUP_GRACE_HOURS, limit]
+  );
+
+  return images.map((image) => ({ ...image, url: getImageUrl(image) }));
+};
+
+/**
+ * Delete unused images whose grace period has passed. Each image is claimed
+ * in a transaction, so one a post starts using meanwhile is kept, and one
+ * storage fails to delete stays recorded for the next run.
+ * @param {Number} limit - Most images to delete in this run
+ * @returns {Promise<{deleted: Number, failed: Number}>} Counts for this run
+ */
+export const deleteUnusedImages = async (limit = 100) => {
+  const images = await findUnusedImages({ limit });
+  let deleted = 0;
+  let failed = 0;
+
+  for (const image of images) {
+    try {
+      const removed = await withTransaction(async (connection) => {
+        const [result] = await connection.query(
+          `DELETE FROM images WHERE id = ? AND ${UNUSED_IMAGE_CONDITION}`,
+          [image.id]
+        );
+        if (result.affectedRows === 0) return false;
+
+        await deleteImage(image);
+        return true;
+      });
+      if (removed) deleted++;
+    } catch (error) {
+      console.error(`Failed to delete image ${image.public_id}:`, error);
+      failed++;
+    }
+  }
+
+  return { deleted, failed };
+};
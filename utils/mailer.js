@@ -0,0 +1,24 @@
+import { v4 as uuidv4 } from "uuid";
+import { renderEmail } from "./emailTemplates.js";
+
+/**
+ * Render an email and add it to the outbox for the worker to send
+ * @param {Object} connection - Database connection or pool (use the caller's transaction)
+ * @param {Object} message
+ * @param {String} message.to - Recipient address
+ * @param {String} message.template - Template name from emailTemplates.js
+ * @param {Object} message.data - Template variables
+ * @returns {Promise<String>} Outbox row ID
+ */
+export const queueEmail = async (connection, { to, template, data }) => {
+  const { subject, text, html } = renderEmail(template, data);
+  const id = uuidv4();
+
+  await connection.query(
+    `INSERT INTO email_outbox (id, template, recipient, subject, text_body, html_body)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, template, to, subject.slice(0, 255), text, html]
+  );
+
+  return id;
+};
@@ -0,0 +1,183 @@
+import mysql from "mysql2/promise";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { connectionOptions } from "../config/db.js";
+
+const MIGRATIONS_DIR = fileURLToPath(new URL("../migrations", import.meta.url));
+
+// 012_categories_and_tags.up.sql -> version 12, "categories_and_tags", "up"
+const FILE_PATTERN = /^(\d+)_(.+)\.(up|down)\.sql$/;
+
+/**
+ * Migration files on disk, oldest first
+ * @returns {Promise<Array<{version: Number, name: String, up: String, down: String|null}>>}
+ *   up and down are file paths
+ */
+export const loadMigrations = async () => {
+  const migrations = new Map();
+
+  for (const file of await fs.readdir(MIGRATIONS_DIR)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = migrations.get(version) || {
+      version,
+      name,
+      up: null,
+      down: null,
+    };
+    if (migration.name !== name) {
+      throw new Error(
+        `Migrations "${migration.name}" and "${name}" share version ${digits}`
+      );
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+  const missingUp = sorted.find((migration) => !migration.up);
+  if (missingUp) {
+    throw new Error(`Migration ${missingUp.name} has no .up.sql file`);
+  }
+  return sorted;
+};
+
+/**
+ * Connect for running migrations: several statements per query, and the
+ * database is created first if it does not exist yet
+ * @param {String} database - Database name (default: DB_NAME)
+ * @returns {Promise<Object>} mysql2/promise connection; call end() when done
+ */
+export const openMigrationConnection = async (
+  database = connectionOptions.database
+) => {
+  const connection = await mysql.createConnection({
+    ...connectionOptions,
+    database: undefined,
+    multipleStatements: true,
+  });
+  await connection.query(
+    "CREATE DATABASE IF NOT EXISTS ?? CHARACTER SET utf8mb4",
+    [database]
+  );
+  await connection.query("USE ??", [database]);
+  return connection;
+};
+
+/**
+ * Migrations recorded as applied, oldest first (creates the tracking table)
+ * @param {Object} connection - Migration connection
+ * @returns {Promise<Array<{version: Number, name: String, applied_at: Date}>>}
+ */
+export const getAppliedMigrations = async (connection) => {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS migrations (
+       version INT NOT NULL PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+  const [rows] = await connection.query(
+    "SELECT version, name, applied_at FROM migrations ORDER BY version ASC"
+  );
+  return rows;
+};
+
+/**
+ * "012_categories_and_tags"
+ * @param {Object} migration - { version, name }
+ * @returns {String} File name without the direction and extension
+ */
+export const migrationLabel = ({ version, name }) =>
+  `${String(version).padStart(3, "0")}_${name}`;
+
+/**
+ * Apply pending migrations in order. MySQL commits DDL as it goes, so a
+ * migration that fails halfway must be repaired by hand before re-running.
+ * @param {Object} connection - Migration connection
+ * @param {Object} options - { to: last version to apply, log }
+ * @returns {Promise<Array>} Migrations applied
+ */
+export const migrateUp = async (
+  connection,
+  { to = Infinity, log = () => {} } = {}
+) => {
+  const applied = new Set(
+    (await getAppliedMigrations(connection)).map((row) => row.version)
+  );
+  const pending = (await loadMigrations()).filter(
+    (migration) => !applied.has(migration.version) && migration.version <= to
+  );
+
+  for (const migration of pending) {
+    log(`↑ ${migrationLabel(migration)}`);
+    await connection.query(await fs.readFile(migration.up, "utf8"));
+    await connection.query(
+      "INSERT INTO migrations (version, name) VALUES (?, ?)",
+      [migration.version, migration.name]
+    );
+  }
+
+  return pending;
+};
+
+/**
+ * Revert the most recently applied migrations, newest first
+ * @param {Object} connection - Migration connection
+ * @param {Object} options - { steps: how many to revert (default 1), log }
+ * @returns {Promise<Array>} Migrations reverted
+ */
+export const migrateDown = async (
+  connection,
+  { steps = 1, log = () => {} } = {}
+) => {
+  const migrations = new Map(
+    (await loadMigrations()).map((migration) => [migration.version, migration])
+  );
+  const reverting = (await getAppliedMigrations(connection))
+    .reverse()
+    .slice(0, steps);
+
+  for (const row of reverting) {
+    const migration = migrations.get(row.version);
+    if (!migration?.down) {
+      throw new Error(`No .down.sql file for ${migrationLabel(row)}`);
+    }
+
+    log(`↓ ${migrationLabel(migration)}`);
+    await connection.query(await fs.readFile(migration.down, "utf8"));
+    await connection.query("DELETE FROM migrations WHERE version = ?", [
+      row.version,
+    ]);
+  }
+
+  return reverting;
+};
+
+/**
+ * Record every migration up to a version as applied without running it, for
+ * databases whose schema was set up by hand
+ * @param {Object} connection - Migration connection
+ * @param {Number} version - Last version already in the database
+ * @returns {Promise<Array>} Migrations newly recorded
+ */
+export const baselineMigrations = async (connection, version) => {
+  const applied = new Set(
+    (await getAppliedMigrations(connection)).map((row) => row.version)
+  );
+  const marking = (await loadMigrations()).filter(
+    (migration) =>
+      migration.version <= version && !applied.has(migration.version)
+  );
+
+  if (marking.length > 0) {
+    await connection.query("INSERT INTO migrations (version, name) VALUES ?", [
+      marking.map((migration) => [migration.version, migration.name]),
+    ]);
+  }
+  return marking;
+};
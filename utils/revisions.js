@@ -0,0 +1,156 @@
+import { v4 as uuidv4 } from "uuid";
+import { diffLines, diffWords } from "diff";
+import { formatFeaturedImage, parseAuthors } from "./blogFormatter.js";
+import { buildSearchMeta } from "./search.js";
+import { updateBlogSlug } from "./slugs.js";
+import { buildBodyColumns } from "./content.js";
+import { resolveBlogAuthors, setBlogAuthors } from "./authors.js";
+import { syncBlogImages } from "./images.js";
+
+// Revisions kept per post. Older ones are dropped, so image cleanup can
+// delete featured images that only they still used.
+export const REVISIONS_KEPT = parseInt(process.env.BLOG_REVISIONS_KEPT) || 50;
+
+// Blog columns captured in every revision
+const SNAPSHOT_FIELDS =
+  "title, published_date, category, category_id, authors, featured_image, body, body_source, body_format";
+
+/**
+ * Snapshot the current state of a blog as its next revision, dropping any
+ * beyond the newest REVISIONS_KEPT
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {String} blogId - Blog ID
+ * @param {String|null} editedBy - User who made the change
+ * @param {String|null} note - Optional description of the change
+ * @returns {Promise<Number>} The new revision number
+ */
+export const recordRevision = async (
+  connection,
+  blogId,
+  editedBy,
+  note = null
+) => {
+  const [rows] = await connection.query(
+    "SELECT COALESCE(MAX(revision_number), 0) + 1 AS next FROM blog_revisions WHERE blog_id = ? FOR UPDATE",
+    [blogId]
+  );
+  const revisionNumber = rows[0].next;
+
+  await connection.query(
+    `INSERT INTO blog_revisions
+       (id, blog_id, revision_number, ${SNAPSHOT_FIELDS}, edited_by, note)
+     SELECT ?, id, ?, ${SNAPSHOT_FIELDS}, ?, ?
+     FROM blogs WHERE id = ?`,
+    [uuidv4(), revisionNumber, editedBy, note, blogId]
+  );
+  await connection.query(
+    "DELETE FROM blog_revisions WHERE blog_id = ? AND revision_number <= ?",
+    [blogId, revisionNumber - REVISIONS_KEPT]
+  );
+
+  return revisionNumber;
+};
+
+// JSON columns may come back parsed or as strings
+const toJsonColumn = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === "string" ? value : JSON.stringify(value);
+};
+
+/**
+ * Write a revision's content back onto its blog
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {Object} revision - Revision row
+ */
+export const applyRevision = async (connection, revision) => {
+  // The revision's category may have been deleted since; keep the current one then
+  const [categories] = await connection.query(
+    `SELECT id, name FROM categories
+     WHERE id = COALESCE(?, (SELECT category_id FROM blogs WHERE id = ?))`,
+    [revision.category_id, revision.blog_id]
+  );
+  const category = categories[0] || {
+    id: null,
+    name: revision.category,
+  };
+
+  // Revisions keep author names; relink them to profiles (recreating any since deleted)
+  const { authors } = await resolveBlogAuthors(connection, {
+    names: parseAuthors(revision.authors),
+  });
+
+  // Render again so the excerpt and reading stats match the restored body
+  const bodyColumns = buildBodyColumns(
+    revision.body_source ?? revision.body,
+    revision.body_format || "html"
+  );
+
+  await connection.query(
+    `UPDATE blogs
+     SET title = ?, published_date = ?, category = ?, category_id = ?, authors = ?, featured_image = ?, search_meta = ?, ?
+     WHERE id = ?`,
+    [
+      revision.title,
+      revision.published_date,
+      category.name,
+      category.id,
+      JSON.stringify(parseAuthors(revision.authors)),
+      toJsonColumn(revision.featured_image),
+      buildSearchMeta({ ...revision, category: category.name }),
+      bodyColumns,
+      revision.blog_id,
+    ]
+  );
+  if (authors) {
+    await setBlogAuthors(connection, revision.blog_id, authors);
+  }
+  await updateBlogSlug(connection, revision.blog_id, revision.title);
+  await syncBlogImages(connection, revision.blog_id);
+};
+
+const toComparable = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value ?? null;
+};
+
+const textDiff = (from, to, diffFn) => {
+  const parts = diffFn(from || "", to || "");
+  return {
+    changed: parts.some((part) => part.added || part.removed),
+    diff: parts.map(({ value, added, removed }) => ({
+      value,
+      added: Boolean(added),
+      removed: Boolean(removed),
+    })),
+  };
+};
+
+const valueDiff = (from, to) => ({
+  changed: toComparable(from) !== toComparable(to),
+  from,
+  to,
+});
+
+/**
+ * Compare two revisions field by field
+ * @param {Object} from - Older revision row
+ * @param {Object} to - Newer revision row
+ * @returns {Object} Word diff for title, line diff for body, old/new values for the rest
+ */
+export const diffRevisions = (from, to) => ({
+  title: textDiff(from.title, to.title, diffWords),
+  body: textDiff(
+    from.body_source ?? from.body,
+    to.body_source ?? to.body,
+    diffLines
+  ),
+  body_format: valueDiff(from.body_format, to.body_format),
+  published_date: valueDiff(from.published_date, to.published_date),
+  category: valueDiff(from.category, to.category),
+  authors: valueDiff(parseAuthors(from.authors), parseAuthors(to.authors)),
+  featured_image: valueDiff(
+    formatFeaturedImage(from.featured_image)?.public_id ?? null,
+    formatFeaturedImage(to.featured_image)?.public_id ?? null
+  ),
+});
@@ -0,0 +1,169 @@
+import { parseAuthors } from "./blogFormatter.js";
+
+// InnoDB ignores words shorter than innodb_ft_min_token_size (3 by default)
+const MIN_TERM_LENGTH = 3;
+
+// Keep letters (including Bangla vowel signs), digits and underscores
+const cleanTerm = (term) => term.replace(/[^\p{L}\p{M}\p{N}_]+/gu, " ").trim();
+
+/**
+ * Split a search string into terms, quoted phrases and excluded words.
+ * Example: `climate "sea level" -politics`
+ * @param {String} input - Raw search text
+ * @returns {{terms: Array<String>, phrases: Array<String>, excluded: Array<String>}}
+ */
+export const parseSearchQuery = (input) => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(input || "")) !== null) {
+    const [, negated, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      const cleaned = cleanTerm(phrase);
+      if (!cleaned) continue;
+      (negated ? parsed.excluded : parsed.phrases).push(cleaned);
+      continue;
+    }
+
+    const excluded = word.startsWith("-") && word.length > 1;
+    // A word may clean up to several, e.g. "covid-19" -> "covid 19"
+    for (const part of cleanTerm(excluded ? word.slice(1) : word).split(" ")) {
+      if (part) (excluded ? parsed.excluded : parsed.terms).push(part);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Build a MATCH ... AGAINST boolean-mode query: every term and phrase is
+ * required, words get prefix matching and excluded words are negated.
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {String|null} Boolean query, or null when nothing is indexable
+ */
+export const toBooleanQuery = ({ terms, phrases, excluded }) => {
+  const required = [
+    ...terms
+      .filter((term) => term.length >= MIN_TERM_LENGTH)
+      .map((term) => `+${term}*`),
+    ...phrases.map((phrase) => `+"${phrase}"`),
+  ];
+
+  if (required.length === 0) return null;
+
+  return [...required, ...excluded.map((term) => `-"${term}"`)].join(" ");
+};
+
+// Make % and _ (and the escape character) match themselves in LIKE
+export const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+/**
+ * Substring conditions for searches MATCH cannot run (only short or excluded
+ * words): every term and phrase must appear in the title, body, authors or
+ * category, and no excluded word may.
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {{conditions: Array<String>, params: Array<String>}}
+ */
+export const toLikeConditions = ({ terms, phrases, excluded }) => {
+  const text = "CONCAT_WS(' ', title, body, search_meta)";
+  const pattern = (value) => `%${escapeLike(value)}%`;
+
+  return {
+    conditions: [
+      ...[...terms, ...phrases].map(() => `${text} LIKE ?`),
+      ...excluded.map(() => `${text} NOT LIKE ?`),
+    ],
+    params: [...terms, ...phrases, ...excluded].map(pattern),
+  };
+};
+
+/**
+ * Text the full-text index should match besides title and body
+ * @param {Object} blog
+ * @param {String} blog.category - Category name
+ * @param {String|Array} blog.authors - Author names
+ * @returns {String} Space-separated category and author names
+ */
+export const buildSearchMeta = ({ category, authors }) =>
+  [category, ...parseAuthors(authors)].filter(Boolean).join(" ");
+
+const HTML_ENTITIES = {
+  "&nbsp;": " ",
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+};
+
+/**
+ * Strip tags and decode common entities, leaving collapsed plain text
+ * @param {String} html - HTML, possibly cut off mid-tag
+ * @returns {String} Plain text
+ */
+export const htmlToText = (html) =>
+  (html || "")
+    .replace(/<[^>]*(>|$)/g, " ")
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (entity) => HTML_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Cut a plain-text snippet around the first match and wrap matches in <mark>
+ * @param {String} body - Post body (HTML is stripped)
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {Number} length - Approximate snippet length in characters (default: 240)
+ * @returns {String} HTML-safe snippet
+ */
+export const buildSnippet = (body, { terms, phrases }, length = 240) => {
+  const text = htmlToText(body);
+
+  const needles = [...phrases, ...terms].filter(Boolean);
+  if (needles.length === 0) {
+    return escapeHtml(text.slice(0, length));
+  }
+
+  const pattern = new RegExp(
+    needles
+      .sort((a, b) => b.length - a.length)
+      .map((needle) => escapeRegExp(needle).replace(/ /g, "\\s+"))
+      .join("|"),
+    "giu"
+  );
+
+  const first = text.search(pattern);
+  let start = first > length / 3 ? first - Math.floor(length / 3) : 0;
+  // Start and end on word boundaries
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    start = space === -1 || space > first ? start : space + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+
+  const window = text.slice(start, end);
+  let snippet = "";
+  let lastIndex = 0;
+  for (const match of window.matchAll(pattern)) {
+    snippet += escapeHtml(window.slice(lastIndex, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(lastIndex));
+
+  return `${start > 0 ? "… " : ""}${snippet}${end < text.length ? " …" : ""}`;
+};
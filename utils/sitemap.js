@@ -0,0 +1,117 @@
+import { escapeXml } from "./xml.js";
+
+// Limits from the sitemaps.org protocol, per sitemap file
+export const MAX_SITEMAP_URLS = 50000;
+export const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const URLSET_OPEN = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+  "",
+].join("\n");
+const URLSET_CLOSE = "</urlset>\n";
+
+const formatLastmod = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Serialize one <url> entry
+ * @param {Object} entry
+ * @param {String} entry.loc - Absolute page URL
+ * @param {Date|String} [entry.lastmod] - Last change of the page
+ * @param {Array<String>} [entry.images] - Absolute image URLs shown on the page
+ * @returns {String} XML fragment
+ */
+const serializeUrl = ({ loc, lastmod, images = [] }) => {
+  const modified = formatLastmod(lastmod);
+
+  return [
+    "  <url>",
+    `    <loc>${escapeXml(loc)}</loc>`,
+    modified && `    <lastmod>${modified}</lastmod>`,
+    ...images.map(
+      (image) =>
+        `    <image:image><image:loc>${escapeXml(
+          image
+        )}</image:loc></image:image>`
+    ),
+    "  </url>",
+  ]
+    .filter(Boolean)
+    .map((line) => `${line}\n`)
+    .join("");
+};
+
+/**
+ * Split sitemap entries into <urlset> documents that each stay within the
+ * protocol's URL count and file size limits
+ * @param {Array<Object>} entries - { loc, lastmod, images }
+ * @returns {Array<{xml: String, lastmod: Date|null}>} One document per sitemap file
+ */
+export const buildSitemaps = (entries) => {
+  const overhead = Buffer.byteLength(URLSET_OPEN + URLSET_CLOSE);
+  const sitemaps = [];
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    sitemaps.push({
+      xml: URLSET_OPEN + current.urls.join("") + URLSET_CLOSE,
+      lastmod: current.lastmod,
+    });
+    current = null;
+  };
+
+  for (const entry of entries) {
+    const url = serializeUrl(entry);
+    const size = Buffer.byteLength(url);
+
+    if (
+      current &&
+      (current.urls.length >= MAX_SITEMAP_URLS ||
+        current.bytes + size > MAX_SITEMAP_BYTES)
+    ) {
+      finish();
+    }
+
+    if (!current) current = { urls: [], bytes: overhead, lastmod: null };
+
+    current.urls.push(url);
+    current.bytes += size;
+    const lastmod = entry.lastmod ? new Date(entry.lastmod) : null;
+    if (lastmod && (!current.lastmod || lastmod > current.lastmod)) {
+      current.lastmod = lastmod;
+    }
+  }
+  finish();
+
+  // An empty site still gets a valid, empty sitemap
+  if (sitemaps.length === 0) {
+    sitemaps.push({ xml: URLSET_OPEN + URLSET_CLOSE, lastmod: null });
+  }
+
+  return sitemaps;
+};
+
+/**
+ * Serialize a <sitemapindex> pointing at each sitemap file
+ * @param {Array<{loc: String, lastmod: Date|null}>} sitemaps - Absolute sitemap URLs
+ * @returns {String} XML
+ */
+export const buildSitemapIndex = (sitemaps) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(({ loc, lastmod }) => {
+      const modified = formatLastmod(lastmod);
+      return [
+        "  <sitemap>",
+        `    <loc>${escapeXml(loc)}</loc>`,
+        modified && `    <lastmod>${modified}</lastmod>`,
+        "  </sitemap>",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    }),
+    "</sitemapindex>",
+    "",
+  ].join("\n");
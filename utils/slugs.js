@@ -0,0 +1,133 @@
+import { slugify } from "transliteration";
+import { escapeLike } from "./search.js";
+
+const MAX_SLUG_LENGTH = 80;
+
+// Slugs may contain "_" and ".", so compare suffixes as text, not patterns
+const hasNumberSuffix = (slug, base) =>
+  slug.startsWith(`${base}-`) && /^\d+$/.test(slug.slice(base.length + 1));
+
+/**
+ * Turn a title into a URL slug, transliterating Bangla and other scripts
+ * @param {String} title - Post title
+ * @returns {String} Lowercase ASCII slug, e.g. "amar-sonar-bangla"
+ */
+export const slugifyTitle = (title) => {
+  let slug = slugify(title || "", { lowercase: true, separator: "-" });
+
+  if (slug.length > MAX_SLUG_LENGTH) {
+    slug = slug.slice(0, MAX_SLUG_LENGTH);
+    // Avoid cutting a word in half
+    const lastDash = slug.lastIndexOf("-");
+    if (lastDash > MAX_SLUG_LENGTH / 2) slug = slug.slice(0, lastDash);
+  }
+
+  return slug.replace(/^-+|-+$/g, "") || "post";
+};
+
+/**
+ * Find a slug for a title that no other post uses, now or in its history
+ * @param {Object} connection - Database connection or pool
+ * @param {String} title - Post title
+ * @param {String|null} blogId - The post being slugged (its own old slugs may be reused)
+ * @returns {Promise<String>} "base", or "base-2", "base-3"... on collision
+ */
+export const generateUniqueSlug = async (connection, title, blogId = null) => {
+  const base = slugifyTitle(title);
+  const pattern = `${escapeLike(base)}-%`;
+
+  const [taken] = await connection.query(
+    `SELECT slug FROM blogs
+     WHERE (slug = ? OR slug LIKE ?) AND id <> ?
+     UNION
+     SELECT slug FROM blog_slug_history
+     WHERE (slug = ? OR slug LIKE ?) AND blog_id <> ?`,
+    [base, pattern, blogId || "", base, pattern, blogId || ""]
+  );
+
+  const takenSlugs = new Set(taken.map((row) => row.slug));
+  if (!takenSlugs.has(base)) return base;
+
+  let suffix = 2;
+  while (takenSlugs.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+/**
+ * Give a post a new slug after its title changed, keeping the old one as a redirect
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {String} blogId - Blog ID
+ * @param {String} title - New title
+ * @returns {Promise<String>} The post's current slug
+ */
+export const updateBlogSlug = async (connection, blogId, title) => {
+  const [blogs] = await connection.query(
+    "SELECT slug FROM blogs WHERE id = ?",
+    [blogId]
+  );
+  const currentSlug = blogs[0]?.slug;
+  const base = slugifyTitle(title);
+
+  // Same title (or only the collision suffix differs): keep the permalink
+  if (
+    currentSlug &&
+    (currentSlug === base || hasNumberSuffix(currentSlug, base))
+  ) {
+    return currentSlug;
+  }
+
+  const slug = await generateUniqueSlug(connection, title, blogId);
+
+  if (currentSlug) {
+    await connection.query(
+      "INSERT IGNORE INTO blog_slug_history (slug, blog_id) VALUES (?, ?)",
+      [currentSlug, blogId]
+    );
+  }
+  // The post may be taking back one of its own old slugs
+  await connection.query(
+    "DELETE FROM blog_slug_history WHERE slug = ? AND blog_id = ?",
+    [slug, blogId]
+  );
+  await connection.query("UPDATE blogs SET slug = ? WHERE id = ?", [
+    slug,
+    blogId,
+  ]);
+
+  return slug;
+};
+
+// Tables with a unique `slug` column besides blogs
+const SLUGGED_TABLES = ["categories", "authors"];
+
+/**
+ * Find a slug for a category, author or similar row that no other row uses
+ * @param {Object} connection - Database connection or pool
+ * @param {String} table - "categories" or "authors"
+ * @param {String} name - Name (or requested slug) to slug
+ * @param {Number|null} rowId - The row being slugged, if it exists
+ * @returns {Promise<String>} "base", or "base-2", "base-3"... on collision
+ */
+export const generateUniqueTableSlug = async (
+  connection,
+  table,
+  name,
+  rowId = null
+) => {
+  if (!SLUGGED_TABLES.includes(table)) {
+    throw new Error(`Cannot generate slugs for table ${table}`);
+  }
+
+  const base = slugifyTitle(name);
+  const [taken] = await connection.query(
+    `SELECT slug FROM ${table} WHERE (slug = ? OR slug LIKE ?) AND id <> ?`,
+    [base, `${escapeLike(base)}-%`, rowId || 0]
+  );
+
+  const takenSlugs = new Set(taken.map((row) => row.slug));
+  if (!takenSlugs.has(base)) return base;
+
+  let suffix = 2;
+  while (takenSlugs.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
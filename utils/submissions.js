@@ -0,0 +1,129 @@
+import { v4 as uuidv4 } from "uuid";
+import { queueEmail } from "./mailer.js";
+
+export const SUBMISSION_STATUSES = [
+  "Received",
+  "Under review",
+  "Needs revision",
+  "Accepted",
+  "Rejected",
+  "Published",
+];
+
+// Allowed moves from each status
+export const SUBMISSION_TRANSITIONS = {
+  Received: ["Under review", "Needs revision", "Accepted", "Rejected"],
+  "Under review": ["Needs revision", "Accepted", "Rejected"],
+  "Needs revision": ["Under review", "Rejected"],
+  Accepted: ["Published", "Under review", "Rejected"],
+  Rejected: ["Under review"],
+  Published: [],
+};
+
+/**
+ * Check whether a submission may move between two statuses
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @returns {Boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) =>
+  (SUBMISSION_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Append an entry to a submission's status history
+ * @param {Object} connection - Database connection or pool
+ * @param {Object} entry
+ * @param {String} entry.submissionId - Submission ID
+ * @param {String|null} entry.from - Previous status (null when created)
+ * @param {String} entry.to - New status
+ * @param {String|null} [entry.changedBy] - User who made the change (null for the system)
+ * @param {String|null} [entry.comment] - Optional reason
+ */
+export const recordStatusChange = async (
+  connection,
+  { submissionId, from, to, changedBy = null, comment = null }
+) => {
+  await connection.query(
+    `INSERT INTO submission_status_history
+     (id, submission_id, from_status, to_status, changed_by, comment)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), submissionId, from, to, changedBy, comment]
+  );
+};
+
+// Entities produced by express-validator's escape()
+const ESCAPED_ENTITIES = {
+  "&amp;": "&",
+  "&quot;": '"',
+  "&#x27;": "'",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&#x2F;": "/",
+  "&#x5C;": "\\",
+  "&#96;": "`",
+};
+
+/**
+ * Undo express-validator's escape() on a stored submission field
+ * @param {String} value - Escaped text
+ * @returns {String} Original text
+ */
+export const unescapeSubmissionText = (value) =>
+  (value || "").replace(
+    /&(amp|quot|#x27|lt|gt|#x2F|#x5C|#96);/g,
+    (entity) => ESCAPED_ENTITIES[entity]
+  );
+
+/**
+ * Build the starting body for a post created from a submission
+ * @param {Object} submission - Submission row (fields still escaped)
+ * @returns {String} HTML body linking to the submitted document
+ */
+export const buildSubmissionDraftBody = (submission) => {
+  const link = submission.blog_content
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+  return `<p>Submitted by ${submission.name}.</p>\n<p>Original document: <a href="${link}">${link}</a></p>`;
+};
+
+/**
+ * Mark accepted submissions as published once their posts go live
+ * @param {Object} connection - Database connection or pool
+ * @param {Array<String>} blogIds - IDs of posts that just went live
+ * @returns {Promise<Number>} Number of submissions updated
+ */
+export const markSubmissionsPublished = async (connection, blogIds) => {
+  if (blogIds.length === 0) return 0;
+
+  const [submissions] = await connection.query(
+    "SELECT id, name, email, blog_title FROM blog_submissions WHERE blog_id IN (?) AND status = 'Accepted'",
+    [blogIds]
+  );
+
+  for (const submission of submissions) {
+    await connection.query(
+      "UPDATE blog_submissions SET status = 'Published' WHERE id = ?",
+      [submission.id]
+    );
+    await recordStatusChange(connection, {
+      submissionId: submission.id,
+      from: "Accepted",
+      to: "Published",
+      comment: "Linked post was published",
+    });
+    await queueEmail(connection, {
+      to: submission.email,
+      template: "submissionStatusChanged",
+      data: {
+        name: unescapeSubmissionText(submission.name),
+        blogTitle: unescapeSubmissionText(submission.blog_title),
+        status: "Published",
+      },
+    });
+  }
+
+  return submissions.length;
+};
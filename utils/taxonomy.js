@@ -0,0 +1,154 @@
+import { generateUniqueTableSlug, slugifyTitle } from "./slugs.js";
+import { buildSearchMeta } from "./search.js";
+
+export const MAX_TAGS_PER_POST = 20;
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Find a managed category by id, slug or name
+ * @param {Object} connection - Database connection or pool
+ * @param {String|Number} value - Category id, slug or exact name
+ * @returns {Promise<Object|null>} { id, name, slug } or null
+ */
+export const resolveCategory = async (connection, value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const text = String(value).trim();
+  const id = /^\d+$/.test(text) ? Number(text) : null;
+  // An id match wins over a category whose name happens to be numeric
+  const [categories] = await connection.query(
+    `SELECT id, name, slug FROM categories
+     WHERE id = ? OR slug = ? OR name = ?
+     ORDER BY id = ? DESC
+     LIMIT 1`,
+    [id, text, text, id]
+  );
+
+  return categories[0] || null;
+};
+
+/**
+ * Find a category slug no other category uses
+ * @param {Object} connection - Database connection or pool
+ * @param {String} name - Category name (or requested slug)
+ * @param {Number|null} categoryId - Category being slugged, if it exists
+ * @returns {Promise<String>} Unique slug
+ */
+export const generateCategorySlug = (connection, name, categoryId = null) =>
+  generateUniqueTableSlug(connection, "categories", name, categoryId);
+
+/**
+ * Copy a renamed category onto its posts (blogs.category and search_meta)
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {Number} categoryId - Category ID
+ * @param {String} name - New category name
+ */
+export const syncCategoryName = async (connection, categoryId, name) => {
+  const [blogs] = await connection.query(
+    "SELECT id, authors FROM blogs WHERE category_id = ?",
+    [categoryId]
+  );
+
+  for (const blog of blogs) {
+    await connection.query(
+      "UPDATE blogs SET category = ?, search_meta = ? WHERE id = ?",
+      [
+        name,
+        buildSearchMeta({ category: name, authors: blog.authors }),
+        blog.id,
+      ]
+    );
+  }
+};
+
+/**
+ * Normalize tag input from JSON bodies and multipart forms
+ * @param {Array|String|undefined} value - Array of names, JSON array or comma-separated string
+ * @returns {Array<String>|undefined} Unique tag names, or undefined when not sent
+ * @throws {Error} When there are too many tags or a tag is too long
+ */
+export const parseTagList = (value) => {
+  if (value === undefined) return undefined;
+
+  let names = value;
+  if (typeof value === "string") {
+    try {
+      names = JSON.parse(value);
+    } catch (e) {
+      names = value.split(",");
+    }
+  }
+  if (!Array.isArray(names)) names = [names];
+
+  const unique = new Map();
+  for (const name of names) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) continue;
+    if (trimmed.length > MAX_TAG_LENGTH) {
+      throw new Error(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    const slug = slugifyTitle(trimmed);
+    if (!unique.has(slug)) unique.set(slug, trimmed);
+  }
+
+  if (unique.size > MAX_TAGS_PER_POST) {
+    throw new Error(`A post can have at most ${MAX_TAGS_PER_POST} tags`);
+  }
+
+  return [...unique.values()];
+};
+
+/**
+ * Replace a post's tags, creating tags that do not exist yet
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {String} blogId - Blog ID
+ * @param {Array<String>} names - Tag names from parseTagList
+ */
+export const setBlogTags = async (connection, blogId, names) => {
+  await connection.query("DELETE FROM blog_tags WHERE blog_id = ?", [blogId]);
+  if (names.length === 0) return;
+
+  const tags = names.map((name) => [name, slugifyTitle(name)]);
+  await connection.query("INSERT IGNORE INTO tags (name, slug) VALUES ?", [
+    tags,
+  ]);
+
+  const [rows] = await connection.query(
+    "SELECT id FROM tags WHERE slug IN (?) OR name IN (?)",
+    [tags.map(([, slug]) => slug), names]
+  );
+  await connection.query(
+    "INSERT IGNORE INTO blog_tags (blog_id, tag_id) VALUES ?",
+    [rows.map((tag) => [blogId, tag.id])]
+  );
+};
+
+/**
+ * Add a `tags` array ({ id, name, slug }) to each blog
+ * @param {Object} connection - Database connection or pool
+ * @param {Array<Object>} blogs - Blogs with an id
+ * @returns {Promise<Array<Object>>} The same blogs with tags
+ */
+export const attachTags = async (connection, blogs) => {
+  if (blogs.length === 0) return blogs;
+
+  const [rows] = await connection.query(
+    `SELECT bt.blog_id, t.id, t.name, t.slug
+     FROM blog_tags bt
+     JOIN tags t ON t.id = bt.tag_id
+     WHERE bt.blog_id IN (?)
+     ORDER BY t.name ASC`,
+    [blogs.map((blog) => blog.id)]
+  );
+
+  const tagsByBlog = new Map();
+  for (const { blog_id, ...tag } of rows) {
+    if (!tagsByBlog.has(blog_id)) tagsByBlog.set(blog_id, []);
+    tagsByBlog.get(blog_id).push(tag);
+  }
+
+  return blogs.map((blog) => ({
+    ...blog,
+    tags: tagsByBlog.get(blog.id) || [],
+  }));
+};
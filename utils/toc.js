@@ -0,0 +1,62 @@
+import { htmlToText } from "./search.js";
+import { slugify } from "transliteration";
+
+// Matches sanitized headings; sanitize-html always closes them
+const HEADING_PATTERN = /<h([1-6])((?:\s[^>]*)?)>([\s\S]*?)<\/h\1>/g;
+const ID_ATTRIBUTE = /\sid="([^"]*)"/;
+
+/**
+ * Give every heading an id derived from its text and collect the outline.
+ * Ids stay the same as long as the heading text does; repeats get -2, -3...
+ * Headings that already have an id keep it.
+ * @param {String} html - Sanitized HTML
+ * @returns {{html: String, toc: Array}} HTML with heading ids, and nested
+ *   entries of { id, text, level, children }
+ */
+export const addHeadingAnchors = (html) => {
+  const usedIds = new Set(
+    [...html.matchAll(/\sid="([^"]*)"/g)].map((match) => match[1])
+  );
+  const headings = [];
+
+  const anchoredHtml = html.replace(
+    HEADING_PATTERN,
+    (heading, level, attributes, content) => {
+      const text = htmlToText(content);
+      const existingId = attributes.match(ID_ATTRIBUTE)?.[1];
+      if (!text && !existingId) return heading;
+
+      let id = existingId;
+      if (!id) {
+        const base =
+          slugify(text, { lowercase: true, separator: "-" }) || "section";
+        id = base;
+        let suffix = 2;
+        while (usedIds.has(id)) id = `${base}-${suffix++}`;
+        usedIds.add(id);
+      }
+
+      headings.push({ id, text, level: Number(level) });
+      return existingId
+        ? heading
+        : `<h${level} id="${id}"${attributes}>${content}</h${level}>`;
+    }
+  );
+
+  return { html: anchoredHtml, toc: nestHeadings(headings) };
+};
+
+// Nest each heading under the closest earlier heading of a higher level
+const nestHeadings = (headings) => {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  for (const heading of headings) {
+    const entry = { ...heading, children: [] };
+    while (stack[stack.length - 1].level >= entry.level) stack.pop();
+    stack[stack.length - 1].children.push(entry);
+    stack.push(entry);
+  }
+
+  return root.children;
+};
@@ -0,0 +1,71 @@
+import { body, matchedData, param, query } from "express-validator";
+
+// Bounds for ?page= and ?limit= on every paginated list
+export const MAX_PAGE = 1000;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * ?page= (from 1) and ?limit= rules for a paginated list. Read the values
+ * with getPagination.
+ * @param {Object} options - { defaultLimit, maxLimit (default MAX_PAGE_SIZE) }
+ * @returns {Array} Validation chains
+ */
+export const paginationRules = ({
+  defaultLimit = 10,
+  maxLimit = MAX_PAGE_SIZE,
+} = {}) => [
+  query("page", `page must be a whole number from 1 to ${MAX_PAGE}`)
+    .default(1)
+    .isInt({ min: 1, max: MAX_PAGE })
+    .toInt(),
+  query("limit", `limit must be a whole number from 1 to ${maxLimit}`)
+    .default(defaultLimit)
+    .isInt({ min: 1, max: maxLimit })
+    .toInt(),
+];
+
+/**
+ * Page, page size and row offset checked by paginationRules. Express 5
+ * parses req.query afresh on every read, so the converted values are only
+ * available through matchedData.
+ * @param {Object} req - Express request
+ * @returns {{page: Number, limit: Number, offset: Number}}
+ */
+export const getPagination = (req) => {
+  const { page, limit } = matchedData(req, { locations: ["query"] });
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Validated query parameters (after defaults and conversions)
+ * @param {Object} req - Express request
+ * @returns {Object} Query values that passed validation
+ */
+export const getQuery = (req) => matchedData(req, { locations: ["query"] });
+
+// Route parameter holding a UUID (posts, comments, submissions, users)
+export const uuidParam = (name = "id") =>
+  param(name, `${name} must be a UUID`).isUUID();
+
+// Route parameter holding an auto-increment id (authors, categories, tags)
+export const intParam = (name = "id") =>
+  param(name, `${name} must be a positive whole number`)
+    .isInt({ min: 1 })
+    .toInt();
+
+/**
+ * Rule for a field that must be one of a list of values
+ * @param {Function} location - body or query from express-validator
+ * @param {String} name - Field name
+ * @param {Array<String>} values - Allowed values
+ * @returns {Object} Validation chain
+ */
+export const oneOf = (location, name, values) =>
+  location(name, `${name} must be one of: ${values.join(", ")}`).isIn(values);
+
+// Multipart forms send booleans as "true" and "false"
+export const booleanField = (name) =>
+  body(name, `${name} must be true or false`)
+    .optional()
+    .isBoolean({ loose: false })
+    .toBoolean(true);
@@ -0,0 +1,12 @@
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value - Value to escape (null and undefined become "")
+ * @returns {String} Escaped text
+ */
+export const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");